@@ -9,6 +9,35 @@ export interface ParaglideEditorOptions {
    * @default false
    */
   requireOptIn?: boolean;
+
+  /**
+   * Paraglide's output directory, relative to the Vite root — the same value
+   * passed to the Paraglide plugin's `outdir`.
+   *
+   * When omitted, any `messages/` directory next to a Paraglide `runtime.js`
+   * is detected automatically.
+   */
+  outdir?: string;
+
+  /**
+   * When true, message output in the browser is prefixed with invisible
+   * zero-width markers that identify the exact call. Elements whose text is
+   * identical (e.g. "Save" from two keys) then map to the right key and
+   * params. The runtime strips the markers from the page after reading them.
+   *
+   * Leave off if app code compares message output to literal strings.
+   * @default false
+   */
+  encodeKeys?: boolean;
+
+  /**
+   * Fallback chain per locale, e.g. `{ "fr-CA": ["fr"] }`. A key missing in a
+   * locale is shown from the first fallback locale that has it, and the
+   * element is flagged as showing fallback text. The base locale always ends
+   * the chain. Locales without an entry fall back to their parent tags
+   * (`fr-CA` → `fr`).
+   */
+  fallbackLocales?: Record<string, string | string[]>;
 }
 
 /**
@@ -1,4 +1,12 @@
-import { createEditorMiddleware, readTranslations } from "./middleware.js";
+import {
+  createEditorMiddleware,
+  readTranslations,
+  readLocaleSettings,
+  readMessageFileLayout,
+  getTranslationFilePaths,
+  isTranslationFile,
+} from "./middleware.js";
+import { parseMessageExports } from "./messageExports.js";
 import { loadEnv } from "vite";
 import fs from "fs";
 import path from "path";
@@ -17,9 +25,12 @@ const __dirname = path.dirname(__filename);
  *
  * **How it works:**
  * 1. Detects `PARAGLIDE_EDITOR=true` environment variable
- * 2. Intercepts `messages/_index.js` transform and wraps message functions
+ * 2. Wraps the compiled modules that define message functions (per-message
+ *    modules or `messages/_index.js`, depending on Paraglide's output structure)
  * 3. Injects runtime script via `transformIndexHtml` (standard Vite apps)
  * 4. Serves translation JSON at `/@paraglide-editor/langs.json` endpoint
+ *    and the message file layout at `/@paraglide-editor/files.json`
+ *    (and, in dev, accepts edits at `/@paraglide-editor/save` to write them back)
  * 5. Provides virtual modules under `/@paraglide-editor/*` prefix
  *
  * **SvelteKit note:**
@@ -58,6 +69,17 @@ const __dirname = path.dirname(__filename);
  *   stays dormant until the user activates it from the browser console:
  *   `localStorage.setItem('pge-enabled', 'true')`
  *   When false (default), editor tools activate automatically when the env var is set.
+ * @param {string} [options.outdir] - Paraglide's output directory, relative to
+ *   the Vite root (same value as the Paraglide plugin's `outdir`). When omitted,
+ *   any `messages/` directory next to a Paraglide `runtime.js` is wrapped.
+ * @param {boolean} [options.encodeKeys=false] - When true, message output in
+ *   the browser carries invisible zero-width markers identifying the exact
+ *   call, so elements with identical text still map to the right key. The
+ *   runtime strips the markers from the page.
+ * @param {Object<string, string|string[]>} [options.fallbackLocales] - Fallback
+ *   chain per locale, e.g. `{ "fr-CA": ["fr"] }`. Keys missing in a locale are
+ *   shown from the first fallback that has them; the base locale always ends
+ *   the chain. Locales without an entry fall back to their parent tags.
  *
  * @example
  * ```js
@@ -72,7 +94,7 @@ const __dirname = path.dirname(__filename);
  *       outdir: './src/paraglide'
  *     }),
  *     // Debug tools activate automatically (default)
- *     paraglideEditorPlugin()
+ *     paraglideEditorPlugin({ outdir: './src/paraglide' })
  *
  *     // Or require explicit opt-in via localStorage
  *     // paraglideEditorPlugin({ requireOptIn: true })
@@ -87,11 +109,27 @@ const __dirname = path.dirname(__filename);
  * ```
  */
 /**
- * Generate the __editorWrap function body injected into the message wrapper module.
+ * Generate the __editorWrap function served by the `wrap.js` virtual module,
+ * which every message wrapper module imports.
  * When requireOptIn is false, the localStorage gate is skipped entirely.
+ * In the browser, a local edit for the call's locale replaces the compiled
+ * text (see runtime/editedMessages.js).
+ * When encodeKeys is true, browser-side results are prefixed with a
+ * zero-width marker identifying the call (see runtime/keyMarkers.js).
  */
-function getEditorWrapFn(requireOptIn) {
+function getEditorWrapFn(requireOptIn, encodeKeys) {
   return `
+${
+  encodeKeys
+    ? `import { encodeMarker } from "./runtime/keyMarkers.js";
+// Signature -> call ID, least recently used first. Capped so long sessions
+// with changing params do not grow it forever; the runtime reads a call
+// once, when it strips the marker from the rendered text.
+const __callIds = new Map();
+const __MAX_CALLS = ${MAX_TRACKED_CALLS};
+let __nextCallId = 1;`
+    : ""
+}
 ${
   requireOptIn
     ? `let __editorEnabled;
@@ -100,8 +138,14 @@ function __isPgeEnabled() {
 }`
     : ""
 }
-function __editorWrap(text, key, params) {
+function __editorWrap(text, key, params, getLocale) {
   if (typeof text !== 'string') return text;
+
+  // Server render: report the call to the request's recorder (see ssrRecorder.js)
+  if (typeof window === 'undefined') {
+    globalThis.__paraglideEditorSSR?.record(text, key, params || {});
+    return text;
+  }
 ${
   requireOptIn
     ? `
@@ -118,6 +162,14 @@ ${
 }
   if (typeof window !== 'undefined') {
     window.__paraglideEditor = window.__paraglideEditor || {};
+
+    // Serve the local edit (installed by the runtime once its data store is ready)
+    const getEditedMessage = window.__paraglideEditor.getEditedMessage;
+    if (getEditedMessage) {
+      const edited = getEditedMessage(key, params || {}, getLocale());
+      if (typeof edited === 'string') text = edited;
+    }
+
     const wasEmpty = !window.__paraglideEditor.registry;
     window.__paraglideEditor.registry = window.__paraglideEditor.registry || new Map();
     window.__paraglideEditor.registry.set(text, {
@@ -126,6 +178,29 @@ ${
       timestamp: Date.now()
     });
 
+${
+  encodeKeys
+    ? `
+    // One ID per distinct key + params + text, so re-renders reuse their marker
+    window.__paraglideEditor.calls = window.__paraglideEditor.calls || new Map();
+    const signature = JSON.stringify([key, params || {}, text]);
+    let callId = __callIds.get(signature);
+    if (callId === undefined) {
+      callId = __nextCallId++;
+      window.__paraglideEditor.calls.set(callId, { key: key, params: params || {}, text: text });
+    } else {
+      __callIds.delete(signature);
+    }
+    __callIds.set(signature, callId);
+    if (__callIds.size > __MAX_CALLS) {
+      const [oldest, oldestId] = __callIds.entries().next().value;
+      __callIds.delete(oldest);
+      window.__paraglideEditor.calls.delete(oldestId);
+    }
+    text = encodeMarker(callId) + text;
+`
+    : ""
+}
     if (wasEmpty) {
       requestAnimationFrame(() => {
         const event = new CustomEvent('__paraglideInitialized', {
@@ -144,40 +219,159 @@ ${
 }`;
 }
 
+const RESERVED_WORDS = new Set(
+  (
+    "await break case catch class const continue debugger default delete do " +
+    "else enum export extends false finally for function if implements import " +
+    "in instanceof interface let new null package private protected public " +
+    "return static super switch this throw true try typeof var void while with yield"
+  ).split(" "),
+);
+
 /**
- * Parse export names from Paraglide-generated module code.
- * Handles: `export const name =`, `export { a as b }`, `export { name }`.
- * Returns an array of exported name strings.
+ * Generate the wrapper module that replaces a Paraglide message module.
+ * It imports the untouched module through the `?original` query and
+ * re-exports each message function wrapped with `__editorWrap`. The
+ * locale a call renders in is read lazily from Paraglide's runtime, only
+ * when the editor looks up a local edit.
+ *
+ * The wrapper also hands Paraglide's runtime to the editor
+ * (`window.__paraglideEditor.paraglideRuntime`), so the editor reads and
+ * switches the same locale the app renders.
+ *
+ * Names that are not valid identifiers (e.g. `nav.home` from nested
+ * messages) are exported under their string name, the same way Paraglide
+ * exports them.
+ *
+ * @param {string} fileName - Base name of the wrapped module (e.g. `greeting.js`)
+ * @param {Array<{ name: string }>} functions - Exports from parseMessageExports()
+ * @returns {string}
  */
-function parseExportNames(code) {
-  const exports = [];
+function generateWrapperModule(fileName, functions) {
+  const wrappers = functions
+    .map(({ name }, index) => {
+      const key = JSON.stringify(name);
+      const wrapper = `(inputs, options) => {
+  const result = _original[${key}](inputs, options);
+  return __editorWrap(result, ${key}, inputs, () => options?.locale ?? __paraglideRuntime.getLocale());
+}`;
+      if (/^[A-Za-z_$][\w$]*$/.test(name) && !RESERVED_WORDS.has(name)) {
+        return `export const ${name} = ${wrapper};`;
+      }
+      const local = `__pge_message_${index}`;
+      return `const ${local} = ${wrapper};\nexport { ${local} as ${key} };`;
+    })
+    .join("\n");
 
-  // Match: export const functionName =
-  for (const match of code.matchAll(/export const (\w+) = /g)) {
-    exports.push(match[1]);
-  }
-  // Match: export { internalName as "exportedName" } or export { internalName as exportedName }
-  for (const match of code.matchAll(
-    /export\s*\{\s*(\w+)\s+as\s+["']?(\w+)["']?\s*\}/g,
-  )) {
-    exports.push(match[2]);
-  }
-  // Match: export { functionName } (no alias)
-  for (const match of code.matchAll(/export\s*\{\s*(\w+)\s*\}/g)) {
-    if (!exports.includes(match[1])) exports.push(match[1]);
+  return `
+// Debug wrapper for Paraglide messages
+// Generated by vite-plugin-paraglide-editor
+
+import * as _original from ${JSON.stringify(`./${fileName}?original`)};
+import * as __paraglideRuntime from "../runtime.js";
+import { __editorWrap } from "virtual:paraglide-editor/wrap.js";
+
+if (typeof window !== 'undefined') {
+  window.__paraglideEditor = window.__paraglideEditor || {};
+  // Each message module contributes its own functions
+  window.__paraglideEditor.messageFunctions = Object.assign(
+    window.__paraglideEditor.messageFunctions || {},
+    _original,
+  );
+  // Every message module shares the same runtime; announce it once
+  if (window.__paraglideEditor.paraglideRuntime !== __paraglideRuntime) {
+    window.__paraglideEditor.paraglideRuntime = __paraglideRuntime;
+    window.dispatchEvent(new CustomEvent('__paraglideEditorRuntimeReady'));
   }
+}
 
-  return exports;
+${wrappers}
+`;
 }
 
+/**
+ * Most distinct message calls the wrapper remembers when encodeKeys is on.
+ * The least recently rendered calls are dropped first.
+ */
+const MAX_TRACKED_CALLS = 5000;
+
+/** Custom HMR event carrying fresh translations after a message file changes */
+const TRANSLATIONS_UPDATED_EVENT = "paraglide-editor:translations-updated";
+
+/** Custom HMR event a page's runtime sends once it listens for TRANSLATIONS_UPDATED_EVENT */
+const LIVE_SYNC_READY_EVENT = "paraglide-editor:live-sync-ready";
+
 export function paraglideEditorPlugin(options = {}) {
-  const { requireOptIn = false } = options;
+  const { requireOptIn = false, outdir, encodeKeys = false, fallbackLocales = {} } = options;
 
   let viteConfig;
   let isEditorMode = false;
   let isDev = true;
   let runtimeUrl;
   let translationsUrl;
+  let filesUrl;
+  let saveUrl;
+  let localeSettings = { baseLocale: null, locales: [] };
+
+  // Absolute path of `<outdir>/messages` when the outdir is configured;
+  // otherwise message directories are detected next to Paraglide's runtime.js
+  let messagesDir = null;
+  const detectedMessageDirs = new Map();
+
+  // Untouched source of each wrapped module, served for `?original` imports
+  const originalMessageCode = new Map();
+
+  // HMR clients of the dev server whose editor runtime follows live sync.
+  // Pages without a running runtime (not opted in, disabled, failed to start)
+  // still need the full reload for message changes.
+  let liveSyncClients = new Set();
+
+  // Export names of each compiled message module, to tell value-only
+  // recompiles (handled by the editor) from added or removed keys
+  const messageExportSets = new Map();
+
+  /**
+   * Check whether a file lives in Paraglide's compiled `messages/` directory.
+   * @param {string} filePath - Absolute file path without query
+   */
+  function isInMessagesDir(filePath) {
+    const dir = path.dirname(filePath);
+    if (messagesDir) return dir === messagesDir;
+
+    if (path.basename(dir) !== "messages") return false;
+    if (!detectedMessageDirs.has(dir)) {
+      detectedMessageDirs.set(
+        dir,
+        fs.existsSync(path.join(dir, "..", "runtime.js")),
+      );
+    }
+    return detectedMessageDirs.get(dir);
+  }
+
+  /**
+   * Check whether a file is one of Paraglide's compiled message modules:
+   * a module in `messages/` or the `messages.js` entry next to it.
+   * @param {string} filePath - Absolute file path without query
+   */
+  function isMessageModule(filePath) {
+    if (!filePath.endsWith(".js")) return false;
+    if (isInMessagesDir(filePath)) return true;
+    return (
+      path.basename(filePath) === "messages.js" &&
+      isInMessagesDir(path.join(path.dirname(filePath), "messages", "_index.js"))
+    );
+  }
+
+  /**
+   * Names exported by a message module, star re-exports included, as one
+   * comparable string.
+   * @param {string} code - Module source
+   */
+  async function readExportSet(code) {
+    const { functions, skipped, starReExports } = await parseMessageExports(code);
+    const names = [...functions, ...skipped].map(({ name }) => name).sort();
+    return [...names, ...starReExports.map((from) => `* ${from}`).sort()].join("\n");
+  }
 
   // Virtual module prefixes:
   // - URL_PREFIX: used in <script> tags and HTTP requests (browser-facing)
@@ -228,10 +422,24 @@ export function paraglideEditorPlugin(options = {}) {
       translationsUrl = isDev
         ? "/@paraglide-editor/langs.json"
         : `${base}paraglide-editor-langs.json`;
+      filesUrl = isDev
+        ? "/@paraglide-editor/files.json"
+        : `${base}paraglide-editor-files.json`;
+      // Writing back to message files needs the dev server; builds only export
+      saveUrl = isDev ? "/@paraglide-editor/save" : null;
+
+      messagesDir = outdir
+        ? path.resolve(config.root || process.cwd(), outdir, "messages")
+        : null;
 
       // Read languages for the summary line
       let langSummary = "";
       if (isEditorMode) {
+        try {
+          localeSettings = readLocaleSettings(config.root || process.cwd());
+        } catch (error) {
+          verbose("Could not read locale settings:", error.message);
+        }
         try {
           const translations = readTranslations(config.root || process.cwd(), verbose);
           const langs = Object.keys(translations);
@@ -295,6 +503,11 @@ export function paraglideEditorPlugin(options = {}) {
           fileName: "paraglide-editor-langs.json",
           source: JSON.stringify(translations),
         });
+        this.emitFile({
+          type: "asset",
+          fileName: "paraglide-editor-files.json",
+          source: JSON.stringify(readMessageFileLayout(rootPath)),
+        });
         verbose("✓ Emitted build assets");
       } catch (err) {
         console.error(
@@ -308,7 +521,7 @@ export function paraglideEditorPlugin(options = {}) {
     load(id) {
       // Config module is always available (SvelteKit handle imports it unconditionally)
       if (id === RESOLVED_PREFIX + "config.js") {
-        return `export const requireOptIn = ${requireOptIn};\nexport const editorEnabled = ${isEditorMode};\nexport const runtimeUrl = ${JSON.stringify(runtimeUrl)};\nexport const translationsUrl = ${JSON.stringify(translationsUrl)};`;
+        return `export const requireOptIn = ${requireOptIn};\nexport const editorEnabled = ${isEditorMode};\nexport const runtimeUrl = ${JSON.stringify(runtimeUrl)};\nexport const translationsUrl = ${JSON.stringify(translationsUrl)};\nexport const filesUrl = ${JSON.stringify(filesUrl)};\nexport const saveUrl = ${JSON.stringify(saveUrl)};\nexport const baseLocale = ${JSON.stringify(localeSettings.baseLocale)};\nexport const locales = ${JSON.stringify(localeSettings.locales)};\nexport const fallbackLocales = ${JSON.stringify(fallbackLocales)};`;
       }
 
       if (!isEditorMode) {
@@ -318,6 +531,11 @@ export function paraglideEditorPlugin(options = {}) {
         return null;
       }
 
+      // Shared by every wrapped message module
+      if (id === RESOLVED_PREFIX + "wrap.js") {
+        return `${getEditorWrapFn(requireOptIn, encodeKeys)}\nexport { __editorWrap };`;
+      }
+
       if (id.startsWith(RESOLVED_PREFIX)) {
         // Strip the resolved prefix to get the file path
         // \0@paraglide-editor/runtime.js → runtime.js
@@ -345,9 +563,86 @@ export function paraglideEditorPlugin(options = {}) {
     configureServer(server) {
       if (!isEditorMode) return;
 
-      server.middlewares.use(createEditorMiddleware(viteConfig, verbose));
+      server.middlewares.use(
+        createEditorMiddleware(viteConfig, verbose, { allowWrite: true }),
+      );
 
       verbose("✓ Serving translations at /@paraglide-editor/langs.json");
+      verbose("✓ Accepting edits at /@paraglide-editor/save");
+
+      // Push message file changes (IDE edits, git pull, "Save to Project")
+      // to the runtime over the HMR channel instead of reloading the page
+      const rootPath = viteConfig.root || process.cwd();
+      server.watcher.add(getTranslationFilePaths(rootPath));
+
+      let notifyTimeout;
+      const onTranslationFileEvent = (file) => {
+        if (!isTranslationFile(rootPath, path.resolve(file))) return;
+
+        clearTimeout(notifyTimeout);
+        notifyTimeout = setTimeout(() => {
+          // settings.json may have added locales or changed the path pattern
+          server.watcher.add(getTranslationFilePaths(rootPath));
+
+          try {
+            const translations = readTranslations(rootPath, verbose);
+            server.ws.send({
+              type: "custom",
+              event: TRANSLATIONS_UPDATED_EVENT,
+              data: { translations },
+            });
+            verbose("✓ Pushed translation update:", path.relative(rootPath, file));
+          } catch (err) {
+            console.error(
+              "[paraglide-editor] Error reading translations after change:",
+              err,
+            );
+          }
+        }, 50);
+      };
+
+      server.watcher.on("change", onTranslationFileEvent);
+      server.watcher.on("add", onTranslationFileEvent);
+      server.watcher.on("unlink", onTranslationFileEvent);
+
+      liveSyncClients = new Set();
+      server.ws.on(LIVE_SYNC_READY_EVENT, (_data, client) => {
+        liveSyncClients.add(client);
+        client.socket?.once("close", () => liveSyncClients.delete(client));
+      });
+    },
+
+    // Message value changes reach the runtime through
+    // TRANSLATIONS_UPDATED_EVENT, so swallow the HMR update for Paraglide's
+    // recompiled message modules when their exports are unchanged — otherwise
+    // Vite falls back to a full reload and the editor state is lost. When a
+    // key was added, renamed or removed, the app needs the new module, so
+    // Vite reloads it as usual. Only pages whose runtime registered for live
+    // sync keep their state; every other page is reloaded.
+    async handleHotUpdate({ file, read, server }) {
+      if (!isEditorMode) return;
+
+      const filePath = path.resolve(file);
+      if (!isMessageModule(filePath)) return;
+
+      const previous = messageExportSets.get(filePath);
+      let current;
+      try {
+        current = await readExportSet(await read());
+      } catch (err) {
+        verbose("Could not read the exports of", file, err);
+        return;
+      }
+      messageExportSets.set(filePath, current);
+
+      if (previous === current && liveSyncClients.size > 0) {
+        for (const client of server.ws.clients) {
+          if (!liveSyncClients.has(client)) client.send({ type: "full-reload", path: "*" });
+        }
+        verbose("✓ Skipped HMR reload for", file);
+        return [];
+      }
+      verbose(previous === current ? "No live sync client, reloading" : "Exports changed, reloading", file);
     },
 
     // Serve editor endpoints in preview
@@ -361,136 +656,65 @@ export function paraglideEditorPlugin(options = {}) {
       );
     },
 
-    // Transform _index.js to wrap with editor metadata
-    transform(code, id) {
-      const normalizedId = id.replace(/\\/g, "/");
+    // Wrap the modules that define Paraglide message functions
+    async transform(code, id) {
+      if (!isEditorMode) return null;
 
-      // Check if this is a request for the original (unwrapped) code
-      const isOriginalQuery = normalizedId.includes("_index.js?original");
-      const isIndexFile =
-        normalizedId.includes("/paraglide/messages/") &&
-        normalizedId.includes("_index.js") &&
-        !isOriginalQuery;
+      const [filePath, query = ""] = id.split("?");
+      if (!isMessageModule(path.resolve(filePath))) {
+        return null;
+      }
 
-      if (isOriginalQuery) {
+      const params = new URLSearchParams(query);
+      if (params.has("original")) {
         return {
-          code: this.originalIndexCode,
+          code: originalMessageCode.get(path.resolve(filePath)) ?? code,
           map: null,
         };
       }
-
-      if (!isEditorMode || !isIndexFile) {
+      // Leave other special imports (?raw, ?url, ...) alone
+      if ([...params.keys()].some((param) => !["t", "v", "import"].includes(param))) {
         return null;
       }
 
-      verbose("✓ Intercepting _index.js");
-
-      this.originalIndexCode = code;
-
-      const hasReExports = code.includes("export * from");
-
-      // Extract module names from re-exports or function names from direct exports
-      let wrapperCode;
-
-      if (hasReExports) {
-        // Extract filenames from re-export lines
-        const reExportMatches = code.matchAll(
-          /export \* from ['"]\.\/(\w+)\.js['"]/g,
-        );
-        const moduleFiles = [];
-        for (const match of reExportMatches) {
-          moduleFiles.push(match[1]);
-        }
-
-        if (moduleFiles.length === 0) {
-          verbose("No re-exports found, passing through");
-          return null;
-        }
-
-        // Resolve each module file and parse its actual export names
-        const indexDir = path.dirname(id);
-        const exportNames = [];
-        for (const fileName of moduleFiles) {
-          const filePath = path.join(indexDir, `${fileName}.js`);
-          try {
-            const fileCode = fs.readFileSync(filePath, "utf-8");
-            const names = parseExportNames(fileCode);
-            exportNames.push(...names);
-          } catch (err) {
-            console.warn(
-              `[paraglide-editor] Could not read ${fileName}.js, skipping:`,
-              err.message,
-            );
-          }
-        }
-
-        if (exportNames.length === 0) {
-          verbose("No exports found in re-exported modules, passing through");
-          return null;
-        }
-
-        verbose("Found message functions:", exportNames.join(", "));
-
-        // Generate wrapper using ?original (same approach as direct-export path)
-        wrapperCode = `
-// Debug wrapper for Paraglide messages (re-export handling)
-// Generated by vite-plugin-paraglide-editor
-
-import * as _original from './_index.js?original';
-
-if (typeof window !== 'undefined') {
-  window.__paraglideEditor = window.__paraglideEditor || {};
-  window.__paraglideEditor.messageFunctions = _original;
-}
-
-${getEditorWrapFn(requireOptIn)}
-
-${exportNames
-  .map(
-    (name) => `export const ${name} = (inputs, options) => {
-  const result = _original.${name}(inputs, options);
-  return __editorWrap(result, "${name}", inputs);
-};`,
-  )
-  .join("\n")}
-`;
-      } else {
-        const exportNames = parseExportNames(code);
-
-        if (exportNames.length === 0) {
-          verbose("No function exports found, passing through");
-          return null;
-        }
-
-        verbose("Found message functions:", exportNames.join(", "));
+      messageExportSets.set(path.resolve(filePath), await readExportSet(code));
+      // The messages.js entry only re-exports; it is tracked, not wrapped
+      if (!isInMessagesDir(path.resolve(filePath))) {
+        return null;
+      }
 
-        // Generate wrapper that imports original via ?original query
-        wrapperCode = `
-// Debug wrapper for Paraglide messages
-// Generated by vite-plugin-paraglide-editor
+      const fileName = path.basename(filePath);
+      const { functions, skipped, imports } = await parseMessageExports(code);
+
+      // Message functions are defined where the locale is read from the
+      // runtime: each per-message module (message-modules output) or
+      // _index.js itself (locale-modules output). Barrels that only re-export
+      // (_index.js, messages.js) and per-locale modules (en.js) pass through,
+      // so every message is wrapped exactly once, whichever entrypoint the
+      // app imports.
+      if (!imports.includes("../runtime.js")) {
+        verbose(`Passing through ${fileName}: does not define message functions`);
+        return null;
+      }
 
-import * as _original from './_index.js?original';
+      for (const { name, reason } of skipped) {
+        verbose(`Skipped export "${name}" in ${fileName}: ${reason}`);
+      }
 
-if (typeof window !== 'undefined') {
-  window.__paraglideEditor = window.__paraglideEditor || {};
-  window.__paraglideEditor.messageFunctions = _original;
-}
+      if (functions.length === 0) {
+        verbose(`No message functions found in ${fileName}, passing through`);
+        return null;
+      }
 
-${getEditorWrapFn(requireOptIn)}
+      verbose(
+        `✓ Wrapping ${fileName}:`,
+        functions.map(({ name }) => name).join(", "),
+      );
 
-${exportNames
-  .map(
-    (name) => `export const ${name} = (inputs, options) => {
-  const result = _original.${name}(inputs, options);
-  return __editorWrap(result, "${name}", inputs);
-};`,
-  )
-  .join("\n")}
-`;
-      }
+      originalMessageCode.set(path.resolve(filePath), code);
 
       return {
-        code: wrapperCode,
+        code: generateWrapperModule(fileName, functions),
         map: null,
       };
     },
@@ -502,7 +726,7 @@ ${exportNames
       handler(html) {
         if (!isEditorMode) return html;
 
-        const configScript = `<script>window.__paraglideEditor = window.__paraglideEditor || {}; window.__paraglideEditor.config = { requireOptIn: ${requireOptIn}, translationsUrl: ${JSON.stringify(translationsUrl)} };</script>`;
+        const configScript = `<script>window.__paraglideEditor = window.__paraglideEditor || {}; window.__paraglideEditor.config = { requireOptIn: ${requireOptIn}, translationsUrl: ${JSON.stringify(translationsUrl)}, filesUrl: ${JSON.stringify(filesUrl)}, saveUrl: ${JSON.stringify(saveUrl)}, baseLocale: ${JSON.stringify(localeSettings.baseLocale)}, locales: ${JSON.stringify(localeSettings.locales)}, fallbackLocales: ${JSON.stringify(fallbackLocales)} };</script>`;
         // Always use the virtual module path — Vite resolves it through our
         // resolveId/load hooks in both dev and build. During build, Vite's
         // build-html plugin bundles it into the output automatically.
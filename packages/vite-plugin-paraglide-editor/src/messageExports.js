@@ -0,0 +1,146 @@
+import { init, parse } from 'es-module-lexer';
+
+/**
+ * Find how a local binding is declared, so exports that are not message
+ * functions can be skipped.
+ *
+ * @param {string} code - Module source
+ * @param {string} local - Local binding name
+ * @returns {{ kind: 'function'|'value'|'class'|'unknown', detail?: string }}
+ */
+function classifyBinding(code, local) {
+  const name = local.replace(/[$]/g, '\\$');
+
+  if (new RegExp(`(?:^|[^\\w$.])(?:async\\s+)?function\\s*\\*?\\s*${name}\\s*\\(`).test(code)) {
+    return { kind: 'function' };
+  }
+  if (new RegExp(`(?:^|[^\\w$.])class\\s+${name}(?![\\w$])`).test(code)) {
+    return { kind: 'class' };
+  }
+
+  const declaration = new RegExp(`(?:^|[^\\w$.])(?:const|let|var)\\s+${name}\\s*=\\s*`).exec(code);
+  if (!declaration) {
+    // Destructured binding: nothing to tell from the source
+    return { kind: 'unknown' };
+  }
+
+  // Skip comments such as /* @__NO_SIDE_EFFECTS__ */ before the initializer
+  const initializer = code
+    .slice(declaration.index + declaration[0].length)
+    .replace(/^(?:\s*(?:\/\*[\s\S]*?\*\/|\/\/[^\n]*))*\s*/, '');
+
+  if (/^(?:async\b|function\b|\(|[\w$]+\s*=>)/.test(initializer)) {
+    return { kind: 'function' };
+  }
+  if (/^['"`]/.test(initializer)) return { kind: 'value', detail: 'string literal' };
+  if (/^[-+\d.]/.test(initializer)) return { kind: 'value', detail: 'number literal' };
+  if (/^(?:true|false)\b/.test(initializer)) return { kind: 'value', detail: 'boolean literal' };
+  if (/^(?:null|undefined)\b/.test(initializer)) return { kind: 'value', detail: 'empty value' };
+  if (/^\{/.test(initializer)) return { kind: 'value', detail: 'object literal' };
+  if (/^\[/.test(initializer)) return { kind: 'value', detail: 'array literal' };
+  if (/^class\b/.test(initializer)) return { kind: 'class' };
+
+  return { kind: 'unknown' };
+}
+
+/**
+ * Check whether a local binding comes from an import statement.
+ *
+ * @param {string} code - Module source
+ * @param {Array} imports - Import records from es-module-lexer
+ * @param {string} local - Local binding name
+ * @returns {string|null} The imported specifier, or null
+ */
+function findImportOf(code, imports, local) {
+  const name = local.replace(/[$]/g, '\\$');
+  const declares = new RegExp(`(?:^import\\s+|[{,]\\s*|\\bas\\s+)${name}\\s*(?:[,}]|from\\b|$)`);
+
+  for (const imp of imports) {
+    if (imp.d !== -1) continue;
+    const statement = code.slice(imp.ss, imp.s - 1).trim();
+    if (statement.startsWith('import') && declares.test(statement)) {
+      return imp.n ?? null;
+    }
+  }
+  return null;
+}
+
+/**
+ * Parse the exports of a Paraglide-generated module with an ES module lexer.
+ *
+ * Every `export` form is understood (`export const|let|var|function`,
+ * `export { a, b as "c" }`, `export * from`, `export * as ns from`,
+ * `export default`), and each export is sorted into one of:
+ * - `functions`: locally defined bindings that may be message functions
+ * - `starReExports`: specifiers of `export * from '...'` statements
+ * - `skipped`: everything else, with the reason it is not wrapped
+ *
+ * The specifiers of all static imports are returned as `imports`.
+ *
+ * @param {string} code - Module source
+ * @returns {Promise<{
+ *   functions: Array<{ name: string, local: string }>,
+ *   starReExports: string[],
+ *   skipped: Array<{ name: string, reason: string }>,
+ *   imports: string[]
+ * }>}
+ */
+export async function parseMessageExports(code) {
+  await init;
+  const [imports, exports] = parse(code);
+
+  const functions = [];
+  const skipped = [];
+  const starReExports = [];
+  const staticImports = [];
+
+  for (const imp of imports) {
+    // Static imports only; `ss`..`s` covers the statement up to the specifier
+    if (imp.d !== -1 || imp.n === undefined) continue;
+    staticImports.push(imp.n);
+    if (/^export\s*\*\s*from/.test(code.slice(imp.ss, imp.s))) {
+      starReExports.push(imp.n);
+    }
+  }
+
+  for (const exp of exports) {
+    const name = exp.n;
+
+    if (name === 'default') {
+      skipped.push({ name, reason: 'default export' });
+      continue;
+    }
+
+    if (exp.ln === undefined) {
+      // `export { a } from '...'` and `export * as ns from '...'` have no local binding
+      const statement = imports.find(imp => imp.ss <= exp.s && exp.e <= imp.se);
+      const from = statement?.n ? ` '${statement.n}'` : '';
+      const isNamespace = statement && /^export\s*\*\s*as\b/.test(code.slice(statement.ss, statement.s));
+      skipped.push({
+        name,
+        reason: isNamespace ? `namespace re-export of${from}` : `re-export from${from || ' another module'}`,
+      });
+      continue;
+    }
+
+    const importedFrom = findImportOf(code, imports, exp.ln);
+    if (importedFrom) {
+      skipped.push({ name, reason: `imported from '${importedFrom}'` });
+      continue;
+    }
+
+    const binding = classifyBinding(code, exp.ln);
+    if (binding.kind === 'value') {
+      skipped.push({ name, reason: `not a function (${binding.detail})` });
+      continue;
+    }
+    if (binding.kind === 'class') {
+      skipped.push({ name, reason: 'class, not a message function' });
+      continue;
+    }
+
+    functions.push({ name, local: exp.ln });
+  }
+
+  return { functions, starReExports, skipped, imports: staticImports };
+}
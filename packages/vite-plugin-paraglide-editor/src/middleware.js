@@ -1,46 +1,484 @@
 import path from 'path';
 import fs from 'fs';
+import { detectJsonFormat, flattenMessages, isNestedMessages, serializeMessageFile, setMessage } from './runtime/messageFormat.js';
 
 /**
- * Read all translation files for configured locales.
+ * Read `project.inlang/settings.json` and extract the fields the editor needs.
  *
- * Reads `project.inlang/settings.json` to discover locales and the message
- * file path pattern, then loads each locale's JSON into a single object.
+ * `pathPattern` is normalized to an array: inlang accepts a single pattern or
+ * several, and the editor also allows `*` wildcards (e.g.
+ * `./messages/{locale}/*.json`) to split a locale over namespace files.
  *
  * @param {string} rootPath - Project root directory path
- * @returns {{ [locale: string]: object }} Translations keyed by locale
+ * @returns {{ baseLocale: string|null, locales: string[], pathPatterns: string[] }}
  */
-export function readTranslations(rootPath, verbose = () => {}) {
-  const projectPath = path.join(rootPath, 'project.inlang');
-  const settingsPath = path.join(projectPath, 'settings.json');
+function readProjectSettings(rootPath) {
+  const settingsPath = path.join(rootPath, 'project.inlang', 'settings.json');
 
   if (!fs.existsSync(settingsPath)) {
     throw new Error('settings.json not found');
   }
 
   const settings = JSON.parse(fs.readFileSync(settingsPath, 'utf-8'));
-  const locales = settings.locales || [];
   const pathPattern = settings['plugin.inlang.messageFormat']?.pathPattern || './messages/{locale}.json';
+  return {
+    baseLocale: settings.baseLocale || null,
+    locales: settings.locales || [],
+    pathPatterns: Array.isArray(pathPattern) ? pathPattern : [pathPattern],
+  };
+}
+
+/**
+ * Substitute the locale into a path pattern, relative to the project root.
+ *
+ * @param {string} pathPattern - Pattern containing a `{locale}` placeholder
+ * @param {string} locale - Locale code
+ * @returns {string} Relative path, possibly containing `*` wildcards
+ */
+function applyLocale(pathPattern, locale) {
+  return pathPattern.replaceAll('{locale}', locale).replace(/^\.\//, '');
+}
+
+/**
+ * Turn a relative path with `*` (one segment) and `**` (any depth)
+ * wildcards into a regular expression matching posix-style paths.
+ *
+ * @param {string} relativePattern
+ * @returns {RegExp}
+ */
+function wildcardToRegExp(relativePattern) {
+  const source = relativePattern
+    .split(/(\*\*\/?|\*)/)
+    .map((part) => {
+      if (part === '**/' || part === '**') return '(?:.*/)?';
+      if (part === '*') return '[^/]*';
+      return part.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+    })
+    .join('');
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Expand a relative path containing wildcards into the existing files it matches.
+ *
+ * @param {string} rootPath - Project root directory path
+ * @param {string} relativePattern - Relative path with `*` / `**` wildcards
+ * @returns {string[]} Sorted absolute file paths
+ */
+function expandWildcards(rootPath, relativePattern) {
+  // Only walk from the deepest directory that has no wildcard in it
+  const segments = relativePattern.split('/');
+  const firstWildcard = segments.findIndex(segment => segment.includes('*'));
+  const baseDir = path.join(rootPath, ...segments.slice(0, firstWildcard));
+  const matcher = wildcardToRegExp(relativePattern);
+
+  if (!fs.existsSync(baseDir)) return [];
+
+  const matches = [];
+  const walk = (dir) => {
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+      const entryPath = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        if (entry.name !== 'node_modules') walk(entryPath);
+      } else if (matcher.test(path.relative(rootPath, entryPath).split(path.sep).join('/'))) {
+        matches.push(entryPath);
+      }
+    }
+  };
+  walk(baseDir);
+
+  return matches.sort();
+}
+
+/**
+ * Resolve every message file of a locale, in pattern order.
+ * Plain patterns resolve to their path whether or not the file exists yet;
+ * wildcard patterns resolve to the files currently on disk.
+ *
+ * @param {string} rootPath - Project root directory path
+ * @param {string[]} pathPatterns - Patterns containing a `{locale}` placeholder
+ * @param {string} locale - Locale code
+ * @returns {string[]} Absolute file paths
+ */
+function resolveMessageFiles(rootPath, pathPatterns, locale) {
+  const files = [];
+  for (const pathPattern of pathPatterns) {
+    const relativePath = applyLocale(pathPattern, locale);
+    const resolved = relativePath.includes('*')
+      ? expandWildcards(rootPath, relativePath)
+      : [path.join(rootPath, relativePath)];
+    for (const file of resolved) {
+      if (!files.includes(file)) files.push(file);
+    }
+  }
+  return files;
+}
+
+/**
+ * Pick the file a key without a known source should be added to.
+ *
+ * Prefers a namespace file named after the key's first segment
+ * (`nav_home` or `nav.home` → `nav.json`), then the first existing
+ * file, then the first plain pattern's path.
+ *
+ * @param {string[]} files - The locale's resolved message files
+ * @param {string} key - Translation key
+ * @returns {string|null} Absolute file path, or null if nothing fits
+ */
+function pickFileForNewKey(files, key) {
+  if (files.length === 0) return null;
+
+  const namespace = key.split(/[._]/)[0];
+  const namespaceFile = files.find(file => path.basename(file, path.extname(file)) === namespace);
+  if (namespaceFile && files.length > 1) return namespaceFile;
+
+  return files.find(file => fs.existsSync(file)) || files[0];
+}
+
+// Key segments that would reach object prototypes when written into a file
+const UNSAFE_KEY_SEGMENTS = new Set(['__proto__', 'constructor', 'prototype']);
+
+/**
+ * Check that a value has a shape Paraglide can compile: either a plain
+ * string or a variant array (`[{ declarations?, selectors?, match }]`).
+ *
+ * @param {any} value
+ * @returns {boolean}
+ */
+function isValidMessageValue(value) {
+  if (typeof value === 'string') return true;
+  if (!Array.isArray(value) || value.length === 0) return false;
+
+  const isStringArray = (arr) => Array.isArray(arr) && arr.every(item => typeof item === 'string');
+
+  return value.every(variant =>
+    variant !== null &&
+    typeof variant === 'object' &&
+    variant.match !== null &&
+    typeof variant.match === 'object' &&
+    !Array.isArray(variant.match) &&
+    Object.values(variant.match).every(template => typeof template === 'string') &&
+    (variant.declarations === undefined || isStringArray(variant.declarations)) &&
+    (variant.selectors === undefined || isStringArray(variant.selectors))
+  );
+}
 
-  const languages = {};
+/**
+ * Create an error carrying the HTTP status the middleware should answer with.
+ */
+function requestError(message, statusCode) {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+}
+
+/**
+ * Read the project's base locale and locales, for locale detection in the
+ * browser before Paraglide's runtime has loaded.
+ *
+ * @param {string} rootPath - Project root directory path
+ * @returns {{ baseLocale: string|null, locales: string[] }}
+ */
+export function readLocaleSettings(rootPath) {
+  const { baseLocale, locales } = readProjectSettings(rootPath);
+  return { baseLocale, locales };
+}
+
+/**
+ * Read all translation files for configured locales, remembering which
+ * file each key came from.
+ *
+ * A locale can be split over several files (array or wildcard pathPattern);
+ * they are merged in pattern order. When the same key appears in more than
+ * one file, the later file wins. Nested message objects are flattened to
+ * the dot-joined keys Paraglide compiles them to (`nav.home`).
+ *
+ * @param {string} rootPath - Project root directory path
+ * @returns {{
+ *   translations: { [locale: string]: object },
+ *   sources: { [locale: string]: { [key: string]: string } },
+ *   files: Array<{ path: string, locale: string, nested: boolean, keys: string[], format: Object, schema?: Object }>
+ * }} Flat translations keyed by locale, the absolute source file of each key,
+ *   and the layout of every message file that exists: keys in file order,
+ *   the JSON formatting, and the `$schema` value and top-level position
+ */
+export function loadTranslations(rootPath, verbose = () => {}) {
+  const { locales, pathPatterns } = readProjectSettings(rootPath);
+
+  const translations = {};
+  const sources = {};
+  const files = [];
   for (const locale of locales) {
-    const messagePath = path.join(
-      rootPath,
-      pathPattern.replace('{locale}', locale).replace('./', '')
-    );
-
-    verbose('Looking for:', messagePath);
-
-    if (fs.existsSync(messagePath)) {
-      const messages = JSON.parse(fs.readFileSync(messagePath, 'utf-8'));
-      languages[locale] = messages;
-      verbose('✓ Loaded:', locale);
-    } else {
-      verbose('✗ Not found:', messagePath);
+    for (const messagePath of resolveMessageFiles(rootPath, pathPatterns, locale)) {
+      verbose('Looking for:', messagePath);
+
+      if (!fs.existsSync(messagePath)) {
+        verbose('✗ Not found:', messagePath);
+        continue;
+      }
+
+      const raw = fs.readFileSync(messagePath, 'utf-8');
+      const content = JSON.parse(raw);
+      const nested = isNestedMessages(content);
+      const messages = flattenMessages(content);
+      translations[locale] = translations[locale] || {};
+      sources[locale] = sources[locale] || {};
+
+      const file = { path: messagePath, locale, nested, keys: Object.keys(messages), format: detectJsonFormat(raw) };
+      const schemaIndex = Object.keys(content).indexOf('$schema');
+      if (schemaIndex !== -1) file.schema = { value: content.$schema, index: schemaIndex };
+      files.push(file);
+
+      for (const [key, value] of Object.entries(messages)) {
+        if (sources[locale][key]) {
+          verbose(`⚠ Duplicate key ${locale}:${key} in`, messagePath, '(overrides', sources[locale][key] + ')');
+        }
+        translations[locale][key] = value;
+        sources[locale][key] = messagePath;
+      }
+      verbose('✓ Loaded:', locale, path.relative(rootPath, messagePath), nested ? '(nested)' : '');
+    }
+  }
+
+  return { translations, sources, files };
+}
+
+/**
+ * Read all translation files for configured locales.
+ *
+ * Reads `project.inlang/settings.json` to discover locales and the message
+ * file path pattern(s), then loads each locale's JSON into a single object.
+ *
+ * @param {string} rootPath - Project root directory path
+ * @returns {{ [locale: string]: object }} Translations keyed by locale
+ */
+export function readTranslations(rootPath, verbose = () => {}) {
+  return loadTranslations(rootPath, verbose).translations;
+}
+
+/**
+ * Describe the project's message files so the runtime can export edits in
+ * the same layout and style: each file's path relative to the root, its
+ * locale, whether it nests messages under namespaces, the keys it holds in
+ * order, its indentation and line endings, and where its `$schema` entry
+ * sits, plus the path patterns for locales that have no file yet.
+ *
+ * @param {string} rootPath - Project root directory path
+ * @returns {{
+ *   files: Array<{
+ *     path: string, locale: string, nested: boolean, keys: string[],
+ *     format: { indent: string, newline: string, trailingNewline: boolean },
+ *     schema?: { value: string, index: number }
+ *   }>,
+ *   pathPatterns: string[]
+ * }}
+ */
+export function readMessageFileLayout(rootPath, verbose = () => {}) {
+  const { pathPatterns } = readProjectSettings(rootPath);
+  const { files } = loadTranslations(rootPath, verbose);
+  return {
+    files: files.map(file => ({
+      ...file,
+      path: path.relative(rootPath, file.path).split(path.sep).join('/'),
+    })),
+    pathPatterns: pathPatterns.map(pathPattern => pathPattern.replace(/^\.\//, '')),
+  };
+}
+
+/**
+ * List the paths `readTranslations` depends on: the project settings, every
+ * locale's message files (whether or not they exist yet), and the directories
+ * wildcard patterns are expanded from, so new namespace files are noticed.
+ *
+ * @param {string} rootPath - Project root directory path
+ * @returns {string[]} Absolute file and directory paths
+ */
+export function getTranslationFilePaths(rootPath) {
+  const settingsPath = path.join(rootPath, 'project.inlang', 'settings.json');
+  try {
+    const { locales, pathPatterns } = readProjectSettings(rootPath);
+    const paths = [settingsPath];
+    for (const locale of locales) {
+      paths.push(...resolveMessageFiles(rootPath, pathPatterns, locale));
+      for (const pathPattern of pathPatterns) {
+        const relativePath = applyLocale(pathPattern, locale);
+        if (!relativePath.includes('*')) continue;
+        const segments = relativePath.split('/');
+        const firstWildcard = segments.findIndex(segment => segment.includes('*'));
+        paths.push(path.join(rootPath, ...segments.slice(0, firstWildcard)));
+      }
+    }
+    return [...new Set(paths)];
+  } catch {
+    return [settingsPath];
+  }
+}
+
+// Message file patterns per project root, built from settings.json once and
+// rebuilt after it changes, since the watcher asks about every file event
+const messageFileMatchers = new Map(); // rootPath -> RegExp[]
+
+function getMessageFileMatchers(rootPath) {
+  if (!messageFileMatchers.has(rootPath)) {
+    let matchers = [];
+    try {
+      const { locales, pathPatterns } = readProjectSettings(rootPath);
+      matchers = locales.flatMap(locale =>
+        pathPatterns.map(pathPattern => wildcardToRegExp(applyLocale(pathPattern, locale)))
+      );
+    } catch {
+      // No readable settings: nothing matches until settings.json changes
+    }
+    messageFileMatchers.set(rootPath, matchers);
+  }
+  return messageFileMatchers.get(rootPath);
+}
+
+/**
+ * Check whether a changed file affects the translations: the project
+ * settings or a file matching one of the locale path patterns.
+ * Locales and patterns are cached until settings.json itself changes.
+ *
+ * @param {string} rootPath - Project root directory path
+ * @param {string} file - Absolute path of the changed file
+ * @returns {boolean}
+ */
+export function isTranslationFile(rootPath, file) {
+  const relativePath = path.relative(rootPath, file).split(path.sep).join('/');
+  if (relativePath === 'project.inlang/settings.json') {
+    messageFileMatchers.delete(rootPath);
+    return true;
+  }
+
+  return getMessageFileMatchers(rootPath).some(matcher => matcher.test(relativePath));
+}
+
+/**
+ * Merge edited messages into the project's message files.
+ *
+ * Each key goes back to the file it was loaded from; new keys go to the
+ * matching namespace file or the locale's first file. Existing keys keep
+ * their position, new keys are appended at the end (inside their namespace
+ * for nested files), and each file's indentation and line endings are
+ * preserved. The whole request is
+ * validated before anything is written, so a bad value never leaves the
+ * files half-updated.
+ *
+ * @param {string} rootPath - Project root directory path
+ * @param {{ [locale: string]: { [key: string]: string|Array } }} edits - Edited values keyed by locale
+ * @returns {{ [locale: string]: string[] }} Written keys keyed by locale
+ */
+export function writeTranslations(rootPath, edits, verbose = () => {}) {
+  const { locales, pathPatterns } = readProjectSettings(rootPath);
+
+  if (!edits || typeof edits !== 'object' || Array.isArray(edits)) {
+    throw requestError('Expected an object of edits keyed by locale', 400);
+  }
+
+  for (const [locale, messages] of Object.entries(edits)) {
+    if (!locales.includes(locale)) {
+      throw requestError(`Unknown locale: ${locale}`, 400);
+    }
+    if (!messages || typeof messages !== 'object' || Array.isArray(messages)) {
+      throw requestError(`Expected an object of messages for locale ${locale}`, 400);
+    }
+    for (const [key, value] of Object.entries(messages)) {
+      if (key.split('.').some(segment => UNSAFE_KEY_SEGMENTS.has(segment))) {
+        throw requestError(`Invalid key ${locale}:${key}`, 400);
+      }
+      if (!isValidMessageValue(value)) {
+        throw requestError(`Malformed value for ${locale}:${key}`, 400);
+      }
+    }
+  }
+
+  const { sources } = loadTranslations(rootPath);
+
+  // Group every edit by the file it belongs to before touching the disk
+  const editsByFile = new Map();
+  for (const [locale, messages] of Object.entries(edits)) {
+    const files = resolveMessageFiles(rootPath, pathPatterns, locale);
+    for (const [key, value] of Object.entries(messages)) {
+      const messagePath = sources[locale]?.[key] || pickFileForNewKey(files, key);
+      if (!messagePath) {
+        throw requestError(`No message file to add ${locale}:${key} to`, 400);
+      }
+      if (!editsByFile.has(messagePath)) {
+        editsByFile.set(messagePath, { locale, messages: {} });
+      }
+      editsByFile.get(messagePath).messages[key] = value;
+    }
+  }
+
+  const written = {};
+  for (const [messagePath, { locale, messages }] of editsByFile) {
+    const keys = Object.keys(messages);
+
+    const exists = fs.existsSync(messagePath);
+    const raw = exists ? fs.readFileSync(messagePath, 'utf-8') : '';
+
+    // Setting keys on the parsed object keeps existing keys in place and appends new ones
+    const content = exists ? JSON.parse(raw) : {};
+    const nested = isNestedMessages(content);
+    for (const [key, value] of Object.entries(messages)) {
+      setMessage(content, key, value, nested);
     }
+
+    fs.mkdirSync(path.dirname(messagePath), { recursive: true });
+    fs.writeFileSync(messagePath, serializeMessageFile(content, exists ? detectJsonFormat(raw) : undefined));
+
+    written[locale] = [...(written[locale] || []), ...keys];
+    verbose(`✓ Wrote ${keys.length} keys to`, messagePath);
   }
 
-  return languages;
+  return written;
+}
+
+/**
+ * Reject save requests that a page from another origin could send. Browsers
+ * send a cross-origin `text/plain` POST without a preflight, so both the JSON
+ * content type and an `Origin` matching the dev server's host are required.
+ *
+ * @param {import('http').IncomingMessage} req
+ */
+function assertSameOriginJson(req) {
+  const contentType = (req.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+  if (contentType !== 'application/json') {
+    throw requestError('Expected Content-Type: application/json', 415);
+  }
+
+  let originHost = null;
+  try {
+    originHost = req.headers.origin ? new URL(req.headers.origin).host : null;
+  } catch {
+  }
+  if (!originHost || originHost !== req.headers.host) {
+    throw requestError('Save requests must come from the dev server origin', 403);
+  }
+}
+
+/**
+ * Read and parse a JSON request body.
+ *
+ * @param {import('http').IncomingMessage} req
+ * @returns {Promise<any>}
+ */
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    req.setEncoding('utf-8');
+    req.on('data', (chunk) => {
+      body += chunk;
+    });
+    req.on('end', () => {
+      try {
+        resolve(JSON.parse(body));
+      } catch {
+        reject(requestError('Request body is not valid JSON', 400));
+      }
+    });
+    req.on('error', reject);
+  });
 }
 
 /**
@@ -48,12 +486,17 @@ export function readTranslations(rootPath, verbose = () => {}) {
  *
  * This middleware handles the following endpoints:
  * - `/@paraglide-editor/langs.json` - Serves raw translation JSON files for all configured locales
+ * - `/@paraglide-editor/files.json` - Serves the message file layout (paths, locales, nesting)
+ * - `POST /@paraglide-editor/save` - Writes edits back to the message files (only when `allowWrite` is set)
  *
  * @param {Object} viteConfig - Resolved Vite configuration object
  * @param {string} viteConfig.root - Project root directory path
+ * @param {Function} [verbose] - Verbose logger
+ * @param {Object} [options]
+ * @param {boolean} [options.allowWrite=false] - Enable the save endpoint (dev server only)
  * @returns {Function} Express-style middleware function (req, res, next)
  */
-export function createEditorMiddleware(viteConfig, verbose = () => {}) {
+export function createEditorMiddleware(viteConfig, verbose = () => {}, { allowWrite = false } = {}) {
   return (req, res, next) => {
     if (req.url === '/@paraglide-editor/langs.json') {
       const rootPath = viteConfig.root || process.cwd();
@@ -75,6 +518,59 @@ export function createEditorMiddleware(viteConfig, verbose = () => {}) {
       return;
     }
 
+    if (req.url === '/@paraglide-editor/files.json') {
+      const rootPath = viteConfig.root || process.cwd();
+
+      try {
+        const layout = readMessageFileLayout(rootPath);
+
+        res.setHeader('Content-Type', 'application/json');
+        res.setHeader('Access-Control-Allow-Origin', '*');
+        res.end(JSON.stringify(layout, null, 2));
+
+        verbose('✓ Served message file layout:', layout.files.length, 'files');
+      } catch (err) {
+        console.error('[paraglide-editor] Error serving message file layout:', err);
+        const statusCode = err.message === 'settings.json not found' ? 404 : 500;
+        res.statusCode = statusCode;
+        res.end(JSON.stringify({ error: err.message }));
+      }
+      return;
+    }
+
+    if (allowWrite && req.url === '/@paraglide-editor/save') {
+      if (req.method !== 'POST') {
+        res.statusCode = 405;
+        res.setHeader('Allow', 'POST');
+        res.end(JSON.stringify({ error: 'Method not allowed' }));
+        return;
+      }
+
+      const rootPath = viteConfig.root || process.cwd();
+
+      Promise.resolve()
+        .then(() => assertSameOriginJson(req))
+        .then(() => readJsonBody(req))
+        .then((body) => {
+          const saved = writeTranslations(rootPath, body?.edits, verbose);
+
+          res.setHeader('Content-Type', 'application/json');
+          res.end(JSON.stringify({ saved }));
+
+          verbose('✓ Saved edits for:', Object.keys(saved).join(', ') || 'no locales');
+        })
+        .catch((err) => {
+          if (!err.statusCode) {
+            console.error('[paraglide-editor] Error saving translations:', err);
+          }
+          const statusCode = err.statusCode || (err.message === 'settings.json not found' ? 404 : 500);
+          res.statusCode = statusCode;
+          res.setHeader('Content-Type', 'application/json');
+          res.end(JSON.stringify({ error: err.message }));
+        });
+      return;
+    }
+
     next();
   };
 }
@@ -3,10 +3,12 @@
  *
  * Flow:
  * 1. Gate check (pge-enabled localStorage)
- * 2. Init data layer (DB + server translations + local edits)
- * 3. Build element registry, apply saved edits, init overlay + UI
+ * 2. Init data layer (DB + server translations + local edits), then let message
+ *    functions serve local edits so re-rendering apps show them natively
+ * 3. Seed registry from the SSR manifest, build element registry, apply saved edits, init overlay + UI
  * 4. MutationObserver keeps registry up-to-date on DOM changes
  * 5. __paraglideInitialized listener handles late registry population
+ * 6. In dev, message file changes arrive over HMR and are synced automatically
  */
 import { initialize } from "./runtime/initialize.js";
 import { createFloatingButton, showEditorModal } from "./runtime/ui.js";
@@ -16,10 +18,13 @@ import {
   applySavedEditsFromDB,
   applyOutlinesToAllElements,
 } from "./runtime/overlay.js";
-import { initLanguageDetection } from "./runtime/languageDetection.js";
+import { initLanguageDetection, stopLanguageDetection } from "./runtime/languageDetection.js";
 import { setElementOutline } from "./runtime/styles.js";
-import { buildElementRegistry, getElements } from "./runtime/registry.js";
+import { buildElementRegistry, getElements, loadSsrManifest } from "./runtime/registry.js";
 import { isPgeEnabled } from "./runtime/helpers.js";
+import { initLiveSync } from "./runtime/sync.js";
+import { initEditedMessages } from "./runtime/editedMessages.js";
+import { initExportSelection } from "./runtime/exportSelection.js";
 
 (function () {
   if (typeof window === "undefined") return;
@@ -39,6 +44,11 @@ import { isPgeEnabled } from "./runtime/helpers.js";
 
   initLanguageDetection();
 
+  // A reloaded runtime starts its own detection; put the history methods back first
+  if (import.meta.hot) {
+    import.meta.hot.dispose(stopLanguageDetection);
+  }
+
   // Rebuild element registry when message functions first populate the registry.
   // Handles the case where hydration completes after our initial buildElementRegistry call.
   window.addEventListener("__paraglideInitialized", async () => {
@@ -61,7 +71,11 @@ import { isPgeEnabled } from "./runtime/helpers.js";
 
   async function start() {
     await initialize();
+    initEditedMessages();
+    initExportSelection();
 
+    // Server-rendered text is known before hydration calls any message
+    loadSsrManifest();
     await buildElementRegistry();
     await applySavedEditsFromDB();
     initOverlayMode();
@@ -75,6 +89,10 @@ import { isPgeEnabled } from "./runtime/helpers.js";
       attributeFilter: ['placeholder', 'title', 'alt', 'aria-label'],
     });
 
+    if (import.meta.hot) {
+      initLiveSync(import.meta.hot);
+    }
+
     console.log("[paraglide-editor] Ready");
   }
 
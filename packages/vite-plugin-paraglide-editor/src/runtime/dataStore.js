@@ -8,6 +8,8 @@
  * - Load local edits from IndexedDB ONCE during initialization
  * - Provide synchronous access to translation data
  * - Manage cache updates when edits are saved
+ * - Track server values that changed since the page loaded
+ * - Notify listeners when displayed translations may have changed
  * - Eliminate repeated network calls and database queries
  *
  * This module does NOT:
@@ -17,12 +19,41 @@
  */
 
 import { initDB } from './db.js';
+import { flattenTranslations, isVariantMessage } from './messageFormat.js';
 
 // In-memory cache (populated during initialization)
 let serverTranslations = null; // { locale: { key: value } }
 let localEdits = null;         // Map<locale:key, {editedValue, isEdited, hasConflict, ...}>
 let isInitialized = false;
 
+// Keys whose server value changed on disk since the page loaded. Their compiled
+// message functions are stale until Paraglide recompiles and the page reloads.
+const changedServerKeys = new Set(); // Set<locale:key>
+
+const changeListeners = new Set();
+
+/**
+ * Register a listener called whenever the cached translations change
+ * (initialization, refresh, local edits, server updates).
+ *
+ * @param {Function} listener
+ * @returns {Function} Unsubscribe function
+ */
+export function onDataStoreChange(listener) {
+  changeListeners.add(listener);
+  return () => changeListeners.delete(listener);
+}
+
+function notifyDataStoreChange() {
+  for (const listener of changeListeners) {
+    try {
+      listener();
+    } catch (error) {
+      console.error('[paraglide-editor] Data store listener failed:', error);
+    }
+  }
+}
+
 /**
  * Get the translations URL from config, with dev-mode fallback.
  */
@@ -42,14 +73,26 @@ export async function initDataStore() {
   }
 
   console.debug('[paraglide-editor] Initializing data store...');
+  await loadDataStore();
+  console.debug('[paraglide-editor] ✓ Data store initialized');
+}
+
+/**
+ * Load server translations and local edits, then swap both into the cache
+ * at once. Readers keep seeing the previous data while a refresh loads.
+ */
+async function loadDataStore() {
+  let translations;
+  let edits;
 
   try {
     const url = getTranslationsUrl();
     const response = await fetch(url);
     if (response.ok) {
-      serverTranslations = await response.json();
-      const localeCount = Object.keys(serverTranslations).length;
-      const keyCount = Object.values(serverTranslations).reduce(
+      // The dev server already flattens nested files; custom endpoints may not
+      translations = flattenTranslations(await response.json());
+      const localeCount = Object.keys(translations).length;
+      const keyCount = Object.values(translations).reduce(
         (sum, locale) => sum + Object.keys(locale).length,
         0
       );
@@ -58,11 +101,11 @@ export async function initDataStore() {
       );
     } else {
       console.error('[paraglide-editor] Failed to load server translations:', response.status);
-      serverTranslations = {};
+      translations = {};
     }
   } catch (error) {
     console.error('[paraglide-editor] Error loading server translations:', error);
-    serverTranslations = {};
+    translations = {};
   }
 
   try {
@@ -77,12 +120,12 @@ export async function initDataStore() {
     });
 
     // Check if we need to do an initial sync (DB is empty)
-    if (allRecords.length === 0 && Object.keys(serverTranslations).length > 0) {
+    if (allRecords.length === 0 && Object.keys(translations).length > 0) {
       console.debug('[paraglide-editor] DB is empty, performing initial sync...');
 
       // Import syncTranslations to populate the DB
       const { syncTranslations } = await import('./db.js');
-      const stats = await syncTranslations(serverTranslations);
+      const stats = await syncTranslations(translations);
       console.debug('[paraglide-editor] Initial sync complete:', stats);
 
       // Reload records after sync
@@ -98,10 +141,10 @@ export async function initDataStore() {
       allRecords.push(...reloadedRecords);
     }
 
-    localEdits = new Map();
+    edits = new Map();
     for (const record of allRecords) {
       const cacheKey = `${record.locale}:${record.key}`;
-      localEdits.set(cacheKey, {
+      edits.set(cacheKey, {
         editedValue: record.editedValue,
         originalValue: record.originalValue,
         isEdited: record.isEdited,
@@ -111,12 +154,15 @@ export async function initDataStore() {
       });
     }
 
-    console.debug(`[paraglide-editor] ✓ Loaded local edits: ${localEdits.size} records`);
+    console.debug(`[paraglide-editor] ✓ Loaded local edits: ${edits.size} records`);
   } catch (error) {
     console.error('[paraglide-editor] Error loading local edits:', error);
-    localEdits = new Map();
+    edits = new Map();
   }
 
+  serverTranslations = translations;
+  localEdits = edits;
+
   if (typeof window !== 'undefined') {
     window.__paraglideEditor = window.__paraglideEditor || {};
     window.__paraglideEditor.dataStore = {
@@ -126,7 +172,17 @@ export async function initDataStore() {
   }
 
   isInitialized = true;
-  console.debug('[paraglide-editor] ✓ Data store initialized');
+  notifyDataStoreChange();
+}
+
+/**
+ * Whether the data store has loaded. Lookups made before then have nothing
+ * to return.
+ *
+ * @returns {boolean}
+ */
+export function isDataStoreReady() {
+  return isInitialized;
 }
 
 /**
@@ -239,15 +295,16 @@ export function updateLocalCache(locale, key, editedValue, isEdited, hasConflict
   });
 
   console.debug(`[paraglide-editor] Updated cache for ${cacheKey}`);
+  notifyDataStoreChange();
 }
 
 /**
- * Refresh data store (call after sync to reload server data)
+ * Refresh data store (call after sync to reload server data).
+ * The current data stays readable until the reloaded data replaces it.
  */
 export async function refreshDataStore() {
   console.debug('[paraglide-editor] Refreshing data store...');
-  isInitialized = false;
-  await initDataStore();
+  await loadDataStore();
 }
 
 /**
@@ -259,3 +316,67 @@ export function getServerTranslations() {
   return serverTranslations;
 }
 
+/**
+ * The server's variant message for a key: the locale's own, else the first
+ * locale that has one. Imports use it to rebuild declarations and selectors.
+ *
+ * @param {string} locale - Preferred locale
+ * @param {string} key - Translation key
+ * @returns {Array|undefined} Variant array
+ */
+export function getServerVariant(locale, key) {
+  const candidates = [
+    serverTranslations?.[locale]?.[key],
+    ...Object.values(serverTranslations || {}).map(translations => translations[key]),
+  ];
+  return candidates.find(isVariantMessage);
+}
+
+/**
+ * Every translation key known to the data store: the server keys of all
+ * locales, plus keys that only exist as local edits.
+ *
+ * @returns {string[]} Sorted keys
+ */
+export function getAllTranslationKeys() {
+  const keys = new Set();
+  for (const translations of Object.values(serverTranslations || {})) {
+    for (const key of Object.keys(translations)) keys.add(key);
+  }
+  for (const cacheKey of localEdits?.keys() || []) {
+    keys.add(cacheKey.slice(cacheKey.indexOf(':') + 1));
+  }
+  return [...keys].sort();
+}
+
+/**
+ * Remember which server values changed between two sets of server translations.
+ *
+ * @param {Object} previousTranslations - Translations keyed by locale before the update
+ * @param {Object} nextTranslations - Translations keyed by locale after the update
+ */
+export function markServerTranslationsChanged(previousTranslations, nextTranslations) {
+  let changed = false;
+  for (const [locale, translations] of Object.entries(nextTranslations)) {
+    for (const [key, value] of Object.entries(translations)) {
+      const previous = previousTranslations[locale]?.[key];
+      if (JSON.stringify(previous) !== JSON.stringify(value)) {
+        changedServerKeys.add(`${locale}:${key}`);
+        changed = true;
+      }
+    }
+  }
+  if (changed) notifyDataStoreChange();
+}
+
+/**
+ * Check whether the server value of a key changed since the page loaded,
+ * meaning it must be rendered from server data instead of the compiled function.
+ *
+ * @param {string} locale - Locale code
+ * @param {string} key - Translation key
+ * @returns {boolean}
+ */
+export function isServerTranslationChanged(locale, key) {
+  return changedServerKeys.has(`${locale}:${key}`);
+}
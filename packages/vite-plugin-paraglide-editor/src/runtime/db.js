@@ -9,6 +9,8 @@
  * - Query edited translations by locale
  * - Sync server translations and detect conflicts
  * - Resolve conflicts between local and server versions
+ * - Mark edits as synced once written back to the project
+ * - Record every change of a key in a version history
  *
  * This module does NOT:
  * - Provide in-memory caching (see dataStore.js)
@@ -17,8 +19,11 @@
  */
 
 const DB_NAME = 'paraglide-translations';
-const DB_VERSION = 3;
+const DB_VERSION = 4;
 const STORE_NAME = 'translations';
+const VERSIONS_STORE = 'versions';
+// Oldest versions of a key are dropped beyond this many
+const MAX_VERSIONS_PER_KEY = 50;
 
 let db = null;
 
@@ -53,13 +58,77 @@ export async function initDB() {
       if (!store.indexNames.contains('hasConflict')) {
         store.createIndex('hasConflict', 'hasConflict', { unique: false });
       }
+
+      if (!database.objectStoreNames.contains(VERSIONS_STORE)) {
+        const versions = database.createObjectStore(VERSIONS_STORE, { keyPath: 'id', autoIncrement: true });
+        versions.createIndex('entry', 'entry', { unique: false });
+      }
     };
   });
 }
 
-export async function saveTranslationEdit(locale, key, newValue, originalValue = null) {
+function getVersions(tx, entry) {
+  return new Promise((resolve, reject) => {
+    const req = tx.objectStore(VERSIONS_STORE).index('entry').getAll(entry);
+    req.onsuccess = () => resolve(req.result.sort((a, b) => a.id - b.id));
+    req.onerror = () => reject(req.error);
+  });
+}
+
+function addVersion(tx, version) {
+  return new Promise((resolve, reject) => {
+    const req = tx.objectStore(VERSIONS_STORE).add(version);
+    req.onsuccess = () => resolve();
+    req.onerror = () => reject(req.error);
+  });
+}
+
+function deleteVersion(tx, id) {
+  return new Promise((resolve, reject) => {
+    const req = tx.objectStore(VERSIONS_STORE).delete(id);
+    req.onsuccess = () => resolve();
+    req.onerror = () => reject(req.error);
+  });
+}
+
+/**
+ * Append a version to a key's history, within the caller's transaction.
+ * The first version of a key is preceded by the server value it started
+ * from, when there is one, and a version repeating the last one is skipped.
+ * Only the last MAX_VERSIONS_PER_KEY versions of a key are kept.
+ *
+ * @param {IDBTransaction} tx - Transaction covering the versions store
+ * @param {string} locale - Locale code
+ * @param {string} key - Translation key
+ * @param {*} value - Value of the key after the change
+ * @param {'edit'|'revert'|'resolve'|'sync'|'save'} type - What changed the key
+ * @param {string} source - Where the change was made (`popup`, `grid`, `import`, `server`, ...)
+ * @param {*} [baseline] - Server value before the change, for the first version
+ *   (omit when the server does not have the key)
+ */
+async function recordVersion(tx, locale, key, value, type, source, baseline) {
+  const entry = `${locale}:${key}`;
+  const versions = await getVersions(tx, entry);
+  const last = versions[versions.length - 1];
+  let count = versions.length;
+
+  if (!last && baseline !== undefined && baseline !== null) {
+    await addVersion(tx, { entry, locale, key, value: baseline, type: 'server', source: 'server', timestamp: new Date() });
+    count++;
+  }
+  if (last && last.type === type && JSON.stringify(last.value) === JSON.stringify(value)) return;
+
+  await addVersion(tx, { entry, locale, key, value, type, source, timestamp: new Date() });
+  count++;
+
+  for (const version of versions.slice(0, Math.max(0, count - MAX_VERSIONS_PER_KEY))) {
+    await deleteVersion(tx, version.id);
+  }
+}
+
+export async function saveTranslationEdit(locale, key, newValue, originalValue = null, source = 'popup') {
   const database = await initDB();
-  const tx = database.transaction(STORE_NAME, 'readwrite');
+  const tx = database.transaction([STORE_NAME, VERSIONS_STORE], 'readwrite');
   const store = tx.objectStore(STORE_NAME);
 
   const id = `${locale}:${key}`;
@@ -83,6 +152,9 @@ export async function saveTranslationEdit(locale, key, newValue, originalValue =
     lastSyncTime: existingRecord?.lastSyncTime || null,
   };
 
+  // Keys without a record are not on the server, so their history has no server value
+  await recordVersion(tx, locale, key, newValue, 'edit', source, existingRecord?.originalValue);
+
   return new Promise((resolve, reject) => {
     const req = store.put(record);
     req.onsuccess = () => resolve();
@@ -104,9 +176,9 @@ export async function deleteTranslationEdit(locale, key) {
   });
 }
 
-export async function revertTranslationEdit(locale, key) {
+export async function revertTranslationEdit(locale, key, source = 'popup') {
   const database = await initDB();
-  const tx = database.transaction(STORE_NAME, 'readwrite');
+  const tx = database.transaction([STORE_NAME, VERSIONS_STORE], 'readwrite');
   const store = tx.objectStore(STORE_NAME);
 
   const id = `${locale}:${key}`;
@@ -126,6 +198,10 @@ export async function revertTranslationEdit(locale, key) {
     hasConflict: false,
   };
 
+  if (existingRecord.isEdited) {
+    await recordVersion(tx, locale, key, existingRecord.originalValue, 'revert', source);
+  }
+
   return new Promise((resolve, reject) => {
     const req = store.put(updatedRecord);
     req.onsuccess = () => resolve();
@@ -208,7 +284,7 @@ export async function getConflicts(locale) {
 
 export async function syncTranslations(serverTranslations) {
   const database = await initDB();
-  const tx = database.transaction(STORE_NAME, 'readwrite');
+  const tx = database.transaction([STORE_NAME, VERSIONS_STORE], 'readwrite');
   const store = tx.objectStore(STORE_NAME);
 
   const stats = {
@@ -291,6 +367,7 @@ export async function syncTranslations(serverTranslations) {
             req.onsuccess = () => resolve();
             req.onerror = () => reject(req.error);
           });
+          await recordVersion(tx, locale, key, serverValue, 'sync', 'server', existingRecord.originalValue);
 
           stats.conflicts++;
 
@@ -309,6 +386,7 @@ export async function syncTranslations(serverTranslations) {
             req.onsuccess = () => resolve();
             req.onerror = () => reject(req.error);
           });
+          await recordVersion(tx, locale, key, serverValue, 'sync', 'server', existingRecord.originalValue);
 
           stats.autoResolved++;
 
@@ -328,6 +406,7 @@ export async function syncTranslations(serverTranslations) {
             req.onsuccess = () => resolve();
             req.onerror = () => reject(req.error);
           });
+          await recordVersion(tx, locale, key, serverValue, 'sync', 'server', existingRecord.originalValue);
 
           stats.updated++;
 
@@ -341,9 +420,52 @@ export async function syncTranslations(serverTranslations) {
   return stats;
 }
 
+/**
+ * Mark edits as synced after they were written to the project's message files.
+ * The saved value becomes the new server baseline, so the records stop
+ * showing as local edits.
+ *
+ * @param {Array<{locale: string, key: string, value: any}>} savedEdits - Values as written to disk
+ */
+export async function markTranslationsSynced(savedEdits) {
+  const database = await initDB();
+  const tx = database.transaction([STORE_NAME, VERSIONS_STORE], 'readwrite');
+  const store = tx.objectStore(STORE_NAME);
+
+  for (const { locale, key, value } of savedEdits) {
+    const id = `${locale}:${key}`;
+
+    const existingRecord = await new Promise((resolve, reject) => {
+      const req = store.get(id);
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+
+    const updatedRecord = {
+      ...existingRecord,
+      id,
+      locale,
+      key,
+      originalValue: value,
+      editedValue: value,
+      isEdited: false,
+      hasConflict: false,
+      lastEditTime: existingRecord?.lastEditTime || null,
+      lastSyncTime: new Date(),
+    };
+
+    await new Promise((resolve, reject) => {
+      const req = store.put(updatedRecord);
+      req.onsuccess = () => resolve();
+      req.onerror = () => reject(req.error);
+    });
+    await recordVersion(tx, locale, key, value, 'save', 'project', existingRecord?.originalValue);
+  }
+}
+
 export async function resolveConflict(locale, key, resolution) {
   const database = await initDB();
-  const tx = database.transaction(STORE_NAME, 'readwrite');
+  const tx = database.transaction([STORE_NAME, VERSIONS_STORE], 'readwrite');
   const store = tx.objectStore(STORE_NAME);
 
   const id = `${locale}:${key}`;
@@ -373,9 +495,24 @@ export async function resolveConflict(locale, key, resolution) {
     updatedRecord.isEdited = true;
   }
 
+  await recordVersion(tx, locale, key, updatedRecord.editedValue, 'resolve', 'conflict-list', existingRecord.originalValue);
+
   return new Promise((resolve, reject) => {
     const req = store.put(updatedRecord);
     req.onsuccess = () => resolve();
     req.onerror = () => reject(req.error);
   });
 }
+
+/**
+ * Get the version history of a key, oldest first.
+ *
+ * @param {string} locale - Locale code
+ * @param {string} key - Translation key
+ * @returns {Promise<Array<{ id: number, value: any, type: string, source: string, timestamp: Date }>>}
+ */
+export async function getTranslationHistory(locale, key) {
+  const database = await initDB();
+  const tx = database.transaction(VERSIONS_STORE, 'readonly');
+  return getVersions(tx, `${locale}:${key}`);
+}
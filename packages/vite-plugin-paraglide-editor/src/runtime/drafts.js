@@ -0,0 +1,86 @@
+/**
+ * Unsaved Popup Drafts
+ *
+ * Purpose: Keep text typed in the edit popup when it is closed without saving.
+ *
+ * Responsibilities:
+ * - Store one draft value per locale + key in localStorage (`pge-drafts`)
+ * - Drop a draft once it matches the saved value again
+ * - Answer whether a key has a draft in a locale, for the overlay's `draft` state
+ *
+ * Drafts are only kept for plain text messages; variant edits are saved or
+ * discarded with the popup.
+ *
+ * This module does NOT:
+ * - Save edits (see db.js, ui/popupHandlers.js)
+ * - Restore drafts into the popup (see ui/popupData.js)
+ */
+
+const STORAGE_KEY = 'pge-drafts';
+
+// Parsed once; every outline refresh asks for drafts
+let cachedDrafts = null;
+
+function readDrafts() {
+  if (!cachedDrafts) {
+    try {
+      cachedDrafts = JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+    } catch {
+      cachedDrafts = {};
+    }
+  }
+  return cachedDrafts;
+}
+
+function writeDrafts(drafts) {
+  cachedDrafts = drafts;
+  if (Object.keys(drafts).length === 0) {
+    localStorage.removeItem(STORAGE_KEY);
+  } else {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(drafts));
+  }
+}
+
+/**
+ * @param {string} locale - Locale code
+ * @param {string} key - Translation key
+ * @returns {string|null} Draft value, or null when there is none
+ */
+export function getDraft(locale, key) {
+  return readDrafts()[`${locale}:${key}`] ?? null;
+}
+
+/**
+ * Remember a draft, or forget it when it equals the saved value.
+ *
+ * @param {string} locale - Locale code
+ * @param {string} key - Translation key
+ * @param {string} value - Text typed in the popup
+ * @param {string} savedValue - Value currently displayed (local edit or server)
+ * @returns {boolean} Whether the stored drafts changed
+ */
+export function updateDraft(locale, key, value, savedValue) {
+  const drafts = { ...readDrafts() };
+  const id = `${locale}:${key}`;
+
+  if (value === savedValue) {
+    if (!(id in drafts)) return false;
+    delete drafts[id];
+  } else {
+    if (drafts[id] === value) return false;
+    drafts[id] = value;
+  }
+  writeDrafts(drafts);
+  return true;
+}
+
+/**
+ * Check whether a key has a draft in a locale.
+ *
+ * @param {string} locale - Locale code
+ * @param {string} key - Translation key
+ * @returns {boolean}
+ */
+export function hasDraft(locale, key) {
+  return `${locale}:${key}` in readDrafts();
+}
@@ -0,0 +1,110 @@
+/**
+ * Edited Message Serving
+ *
+ * Purpose: Let message functions return local edits, so frameworks render
+ * edited text themselves instead of having it patched into the DOM.
+ *
+ * Responsibilities:
+ * - Expose `window.__paraglideEditor.getEditedMessage`, which the message
+ *   wrapper calls on every browser-side message call
+ * - Render edited templates with the caller's params and locale
+ * - Serve keys missing in the locale from its fallback chain
+ * - Signal when edits change so apps can re-render
+ *   (`onEditsChanged`, `getEditsVersion`, `__paraglideEditorEditsChanged`)
+ *
+ * This module does NOT:
+ * - Store edits (see dataStore.js, db.js)
+ * - Patch already-rendered DOM (see overlay.js, which remains the fallback
+ *   for apps that never re-render)
+ */
+
+import { isDataStoreReady, isServerTranslationChanged, onDataStoreChange } from './dataStore.js';
+import { renderDisplayTranslation } from './renderer.js';
+import { resolveDisplayTranslation } from './localeFallback.js';
+
+const listeners = new Set();
+let version = 0;
+let notifyScheduled = false;
+
+/**
+ * Look up the edited text of a message call.
+ *
+ * @param {string} key - Translation key
+ * @param {Object} params - Message parameters
+ * @param {string} locale - Locale the message is rendered in
+ * @returns {string|null} Rendered edit or fallback text, or null when the compiled text is current
+ *   or the data store has not loaded yet
+ */
+function getEditedMessage(key, params, locale) {
+  if (!isDataStoreReady()) return null;
+
+  const translation = resolveDisplayTranslation(locale, key);
+  if (!translation.value) return null;
+  if (!translation.isFallback && !translation.isEdited && !isServerTranslationChanged(locale, key)) {
+    return null;
+  }
+
+  return renderDisplayTranslation(key, params, locale)?.text ?? null;
+}
+
+/**
+ * Bump the edits version and notify listeners once per microtask,
+ * so a batch of cache updates triggers a single re-render.
+ */
+function notifyEditsChanged() {
+  if (notifyScheduled) return;
+  notifyScheduled = true;
+
+  queueMicrotask(() => {
+    notifyScheduled = false;
+    version++;
+
+    for (const listener of listeners) {
+      try {
+        listener(version);
+      } catch (error) {
+        console.error('[paraglide-editor] Edits listener failed:', error);
+      }
+    }
+
+    window.dispatchEvent(new CustomEvent('__paraglideEditorEditsChanged', {
+      detail: { version },
+    }));
+  });
+}
+
+/**
+ * Subscribe to edit changes.
+ *
+ * @param {Function} listener - Called with the new edits version
+ * @returns {Function} Unsubscribe function
+ */
+function onEditsChanged(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+/**
+ * Current edits version, incremented on every change.
+ *
+ * @returns {number}
+ */
+function getEditsVersion() {
+  return version;
+}
+
+/**
+ * Install the edited message API on `window.__paraglideEditor`.
+ * Must run after the data store is initialized.
+ */
+export function initEditedMessages() {
+  window.__paraglideEditor.getEditedMessage = getEditedMessage;
+  window.__paraglideEditor.onEditsChanged = onEditsChanged;
+  window.__paraglideEditor.getEditsVersion = getEditsVersion;
+
+  onDataStoreChange(notifyEditsChanged);
+
+  // Messages rendered before the data store was ready used compiled text
+  notifyEditsChanged();
+  console.debug('[paraglide-editor] ✓ Edited messages served by message functions');
+}
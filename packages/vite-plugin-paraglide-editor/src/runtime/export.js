@@ -1,13 +1,18 @@
 /**
  * Export Functionality
  *
- * Purpose: Export translation edits as downloadable JSON files.
+ * Purpose: Export translation edits as a downloadable archive of message files.
  *
  * Responsibilities:
- * - Merge server translations with local edits
- * - Generate complete translation JSON files per locale
- * - Trigger browser downloads for each locale
+ * - Merge server translations with the local edits included for export
+ * - Generate complete message files at their paths in the project
+ * - Bundle them with a manifest of the edits into one ZIP download
  * - Handle plural/variant serialization
+ * - Restore nested namespaces for projects with nested message files
+ * - Keep each file's key order, `$schema` entry and JSON formatting
+ *
+ * Other export formats (xliff.js, spreadsheet.js, gettext.js) build on the
+ * merged translations and the download helper here.
  *
  * This module does NOT:
  * - Modify stored data (see db.js, dataStore.js)
@@ -17,78 +22,277 @@
 
 import { getEditedTranslations } from './db.js';
 import { getServerTranslations } from './dataStore.js';
+import { isVariantMessage, serializeMessageFile, setMessage } from './messageFormat.js';
+import { filterIncludedEdits } from './exportSelection.js';
+import { createZip } from './zip.js';
 
-export async function exportEdits() {
-  try {
-    const edits = await getEditedTranslations();
+const ARCHIVE_FILE = 'paraglide-messages.zip';
+const MANIFEST_FILE = 'paraglide-editor-manifest.json';
 
-    if (edits.length === 0) {
-      alert('No edits to export yet.');
-      return;
+/**
+ * Get the message file layout URL from config, with dev-mode fallback.
+ */
+function getFilesUrl() {
+  return window.__paraglideEditor?.config?.filesUrl || '/@paraglide-editor/files.json';
+}
+
+/**
+ * Fetch the layout of the project's message files (path, locale, nesting,
+ * keys, formatting) and the path patterns. Resolves to an empty layout when it is not
+ * available, so exports fall back to one flat `{locale}.json` per locale.
+ *
+ * @returns {Promise<{ files: Array<{ path: string, locale: string, nested: boolean, keys: string[], format?: Object, schema?: Object }>, pathPatterns?: string[] }>}
+ */
+export async function fetchMessageFileLayout() {
+  try {
+    const response = await fetch(getFilesUrl());
+    if (response.ok) {
+      return await response.json();
     }
+    console.warn('[paraglide-editor] Message file layout not available:', response.status);
+  } catch (error) {
+    console.warn('[paraglide-editor] Could not load message file layout:', error);
+  }
+  return { files: [] };
+}
 
-    console.debug('[paraglide-editor] Getting server translations from cache...');
-    const serverTranslations = getServerTranslations();
+/**
+ * The message files of a locale, and which of them holds a key. A key is in
+ * the file it was read from (the last one, when several hold it). A new key
+ * goes to the namespace file named after its prefix when the locale has
+ * several files, else to the first file, as "Save to Project" does. A locale
+ * without files gets the path of the first pattern without wildcards.
+ *
+ * @param {string} locale - Locale code
+ * @param {{ files: Array, pathPatterns?: string[] }} layout - Result of fetchMessageFileLayout()
+ * @returns {{ files: Array<{ path: string, nested: boolean, keys: string[] }>, fileFor: (key: string) => Object }}
+ */
+export function resolveMessageFiles(locale, layout) {
+  let localeFiles = layout.files.filter(file => file.locale === locale);
+  if (localeFiles.length === 0) {
+    const pathPattern = (layout.pathPatterns || []).find(pattern => !pattern.includes('*'));
+    const filePath = pathPattern ? pathPattern.replaceAll('{locale}', locale) : `${locale}.json`;
+    localeFiles = [{ path: filePath, locale, nested: false, keys: [] }];
+  }
 
-    if (!serverTranslations) {
-      throw new Error('Server translations not loaded yet');
-    }
+  const owners = new Map();
+  for (const file of localeFiles) {
+    for (const key of file.keys) owners.set(key, file);
+  }
 
-    console.debug('[paraglide-editor] Server translations loaded from cache:', Object.keys(serverTranslations));
+  const fileForNewKey = (key) => {
+    const namespace = key.split(/[._]/)[0];
+    const namespaceFile = localeFiles.find(file => file.path.split('/').pop().replace(/\.[^.]+$/, '') === namespace);
+    return namespaceFile && localeFiles.length > 1 ? namespaceFile : localeFiles[0];
+  };
 
-    const editsByLocale = {};
-    edits.forEach(edit => {
-      if (!editsByLocale[edit.locale]) {
-        editsByLocale[edit.locale] = {};
-      }
+  return { files: localeFiles, fileFor: key => owners.get(key) || fileForNewKey(key) };
+}
+
+/**
+ * Split a locale's flat messages over its message files (see
+ * resolveMessageFiles()), in the shape of each file. Keys a file already
+ * holds keep their order, new keys are appended at the end (inside their
+ * namespace in nested files), and `$schema` goes back to its position.
+ *
+ * @param {string} locale - Locale code
+ * @param {{ [key: string]: any }} messages - Flat messages
+ * @param {{ files: Array, pathPatterns?: string[] }} layout - Result of fetchMessageFileLayout()
+ * @returns {Array<{ path: string, messages: Object, format?: Object }>} Files relative
+ *   to the project root, with the JSON formatting of those that exist
+ */
+export function splitMessagesIntoFiles(locale, messages, layout) {
+  const { files, fileFor } = resolveMessageFiles(locale, layout);
+
+  const ordered = new Set([
+    ...files.flatMap(file => file.keys.filter(key => fileFor(key) === file && key in messages)),
+    ...Object.keys(messages),
+  ]);
+
+  const contents = new Map(files.map(file => [file, {}]));
+  for (const key of ordered) {
+    const file = fileFor(key);
+    setMessage(contents.get(file), key, messages[key], file.nested);
+  }
+
+  return files.map(file => {
+    let content = contents.get(file);
+    if (file.schema) {
+      const entries = Object.entries(content);
+      entries.splice(file.schema.index, 0, ['$schema', file.schema.value]);
+      content = Object.fromEntries(entries);
+    }
+    return { path: file.path, messages: content, format: file.format };
+  });
+}
+
+/**
+ * Group edit records by locale, turning stored variant JSON strings back
+ * into the array structure used in message files. Only strings that look
+ * like a variant array are parsed, so a plain-text edit such as `null` or
+ * `{}` stays text.
+ *
+ * @param {Array} edits - Records from getEditedTranslations()
+ * @returns {{ [locale: string]: { [key: string]: any } }}
+ */
+export function groupEditsByLocale(edits) {
+  const editsByLocale = {};
+  edits.forEach(edit => {
+    if (!editsByLocale[edit.locale]) {
+      editsByLocale[edit.locale] = {};
+    }
 
-      let value = edit.editedValue;
+    let value = edit.editedValue;
+    if (typeof value === 'string' && value.trim().startsWith('[{')) {
       try {
         const parsed = JSON.parse(value);
-        if (typeof parsed === 'object') {
+        if (isVariantMessage(parsed)) {
           value = parsed;
         }
       } catch {
+        // Text that only starts like a variant array
       }
+    }
+
+    editsByLocale[edit.locale][edit.key] = value;
+  });
+  return editsByLocale;
+}
 
-      editsByLocale[edit.locale][edit.key] = value;
-    });
+/**
+ * Merge the server translations with edit records, per locale.
+ *
+ * @param {Array} edits - Records from getEditedTranslations()
+ * @returns {{ [locale: string]: { [key: string]: any } }} Flat messages keyed by locale
+ */
+export function buildMergedTranslations(edits) {
+  console.debug('[paraglide-editor] Getting server translations from cache...');
+  const serverTranslations = getServerTranslations();
 
-    const mergedTranslations = {};
-    for (const locale of Object.keys(serverTranslations)) {
-      mergedTranslations[locale] = { ...serverTranslations[locale] };
+  if (!serverTranslations) {
+    throw new Error('Server translations not loaded yet');
+  }
 
-      if (editsByLocale[locale]) {
-        Object.assign(mergedTranslations[locale], editsByLocale[locale]);
-      }
+  console.debug('[paraglide-editor] Server translations loaded from cache:', Object.keys(serverTranslations));
+
+  const editsByLocale = groupEditsByLocale(edits);
+
+  const mergedTranslations = {};
+  for (const locale of Object.keys(serverTranslations)) {
+    mergedTranslations[locale] = { ...serverTranslations[locale] };
+
+    if (editsByLocale[locale]) {
+      Object.assign(mergedTranslations[locale], editsByLocale[locale]);
     }
+  }
 
-    for (const locale of Object.keys(editsByLocale)) {
-      if (!mergedTranslations[locale]) {
-        mergedTranslations[locale] = editsByLocale[locale];
+  for (const locale of Object.keys(editsByLocale)) {
+    if (!mergedTranslations[locale]) {
+      mergedTranslations[locale] = editsByLocale[locale];
+    }
+  }
+
+  return mergedTranslations;
+}
+
+/**
+ * Merged translations and the keys to send to translators for one locale
+ * pair. With `scope: 'changed'`, only keys whose source text has a local
+ * edit or that have no translation in the target locale are kept.
+ *
+ * @param {Object} options
+ * @param {string} options.sourceLocale - Locale translators read
+ * @param {string} options.targetLocale - Locale translators write
+ * @param {'all'|'changed'} [options.scope]
+ * @returns {Promise<{ translations: { [locale: string]: Object }, keys: string[] }>}
+ *   Merged flat messages and the sorted keys to export
+ */
+export async function prepareTranslatorExport({ sourceLocale, targetLocale, scope = 'all' }) {
+  if (!sourceLocale || !targetLocale || sourceLocale === targetLocale) {
+    throw new Error('Pick two different source and target locales');
+  }
+
+  const edits = filterIncludedEdits(await getEditedTranslations());
+  const translations = buildMergedTranslations(edits);
+
+  let keys = Object.keys(translations[sourceLocale] || {});
+  if (scope === 'changed') {
+    const editedSourceKeys = new Set(edits.filter(edit => edit.locale === sourceLocale).map(edit => edit.key));
+    const target = translations[targetLocale] || {};
+    keys = keys.filter(key => editedSourceKeys.has(key) || target[key] === undefined || target[key] === '');
+  }
+
+  return { translations, keys: keys.sort() };
+}
+
+/**
+ * Make the browser download a generated file.
+ *
+ * @param {string} fileName - Name of the downloaded file
+ * @param {string|Uint8Array} content - File content
+ * @param {string} type - MIME type
+ */
+export function downloadFile(fileName, content, type) {
+  const blob = new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = fileName;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * Download one ZIP archive holding every message file at its path in the
+ * project (the server translations merged with the edits included under
+ * Pending Changes), plus a manifest of the edited keys per locale. The
+ * archive can be unzipped over the project root.
+ *
+ * @returns {Promise<{ file: string|null, files: string[], edits: number }>}
+ *   Archive name, the message file paths in it, and the number of edits
+ *   they contain (no archive when nothing is included)
+ */
+export async function exportEdits() {
+  try {
+    const edits = filterIncludedEdits(await getEditedTranslations());
+
+    if (edits.length === 0) {
+      console.debug('[paraglide-editor] No included edits to export');
+      return { file: null, files: [], edits: 0 };
+    }
+
+    const mergedTranslations = buildMergedTranslations(edits);
+    const layout = await fetchMessageFileLayout();
+
+    const files = [];
+    for (const locale of Object.keys(mergedTranslations)) {
+      for (const { path, messages, format } of splitMessagesIntoFiles(locale, mergedTranslations[locale], layout)) {
+        files.push({ path, content: serializeMessageFile(messages, format) });
       }
+      console.debug(`[paraglide-editor] Exported full ${locale} with ${Object.keys(mergedTranslations[locale]).length} keys`);
     }
 
-    const locales = Object.keys(mergedTranslations);
-    for (const locale of locales) {
-      const json = JSON.stringify(mergedTranslations[locale], null, 2);
-      const blob = new Blob([json], { type: 'application/json' });
-      const url = URL.createObjectURL(blob);
-      const a = document.createElement('a');
-      a.href = url;
-      a.download = `${locale}.json`;
-      document.body.appendChild(a);
-      a.click();
-      document.body.removeChild(a);
-      URL.revokeObjectURL(url);
-
-      console.debug(`[paraglide-editor] Exported full ${locale}.json with ${Object.keys(mergedTranslations[locale]).length} keys`);
+    const editedKeys = {};
+    for (const edit of edits) {
+      (editedKeys[edit.locale] ??= []).push(edit.key);
     }
+    for (const keys of Object.values(editedKeys)) keys.sort();
+
+    const manifest = {
+      exportedAt: new Date().toISOString(),
+      files: files.map(file => file.path),
+      edits: editedKeys,
+    };
+
+    const archive = createZip([...files, { path: MANIFEST_FILE, content: JSON.stringify(manifest, null, 2) }]);
+    downloadFile(ARCHIVE_FILE, archive, 'application/zip');
 
-    console.debug(`[paraglide-editor] Exported ${locales.length} language files`);
-    alert(`Successfully exported ${locales.length} complete language files!\n\nFiles: ${locales.map(l => `${l}.json`).join(', ')}`);
+    console.debug(`[paraglide-editor] Exported ${files.length} message files with ${edits.length} edits`);
+    return { file: ARCHIVE_FILE, files: manifest.files, edits: edits.length };
   } catch (error) {
     console.error('[paraglide-editor] Export failed:', error);
-    alert(`Export failed: ${error.message}\n\nCheck console for details.`);
+    throw error;
   }
 }
@@ -0,0 +1,95 @@
+/**
+ * Export Selection
+ *
+ * Purpose: Remember which local edits the user left out of exports.
+ *
+ * Responsibilities:
+ * - Store excluded edits (locale + key) in localStorage (`pge-export-excluded`)
+ * - Filter edit records down to the included ones
+ * - Forget exclusions of edits that were saved or reverted
+ *
+ * Edits are included by default; only exclusions are stored.
+ *
+ * This module does NOT:
+ * - Export files (see export.js)
+ * - Provide UI (see ui/pendingChanges.js)
+ */
+
+import { getTranslationVersions, isDataStoreReady, onDataStoreChange } from './dataStore.js';
+
+const STORAGE_KEY = 'pge-export-excluded';
+
+function readExcluded() {
+  try {
+    return new Set(JSON.parse(localStorage.getItem(STORAGE_KEY)) || []);
+  } catch {
+    return new Set();
+  }
+}
+
+function writeExcluded(excluded) {
+  if (excluded.size === 0) {
+    localStorage.removeItem(STORAGE_KEY);
+  } else {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify([...excluded]));
+  }
+}
+
+/**
+ * @param {string} locale - Locale code
+ * @param {string} key - Translation key
+ * @returns {boolean} Whether the edit goes into exports
+ */
+export function isEditIncluded(locale, key) {
+  return !readExcluded().has(`${locale}:${key}`);
+}
+
+/**
+ * @param {string} locale - Locale code
+ * @param {string} key - Translation key
+ * @param {boolean} included - Whether the edit goes into exports
+ */
+export function setEditIncluded(locale, key, included) {
+  const excluded = readExcluded();
+  if (included) {
+    excluded.delete(`${locale}:${key}`);
+  } else {
+    excluded.add(`${locale}:${key}`);
+  }
+  writeExcluded(excluded);
+}
+
+/**
+ * Keep the edit records that go into exports.
+ *
+ * @param {Array} edits - Records from getEditedTranslations()
+ * @returns {Array} Included records
+ */
+export function filterIncludedEdits(edits) {
+  const excluded = readExcluded();
+  return edits.filter(edit => !excluded.has(`${edit.locale}:${edit.key}`));
+}
+
+/**
+ * Drop exclusions whose edit was saved or reverted, so editing the key again
+ * starts out included.
+ */
+function pruneExclusions() {
+  if (!isDataStoreReady()) return;
+
+  const excluded = readExcluded();
+  const pruned = new Set([...excluded].filter(id => {
+    const separator = id.indexOf(':');
+    return getTranslationVersions(id.slice(0, separator), id.slice(separator + 1)).isEdited;
+  }));
+  if (pruned.size !== excluded.size) writeExcluded(pruned);
+}
+
+/**
+ * Prune exclusions whenever the data store changes. Saves, reverts and
+ * syncs all go through it, so an exclusion never outlives its edit.
+ */
+export function initExportSelection() {
+  onDataStoreChange(pruneExclusions);
+  pruneExclusions();
+}
@@ -0,0 +1,461 @@
+/**
+ * Gettext PO Export and Import
+ *
+ * Purpose: Exchange translations with localization vendors that work in
+ * gettext.
+ *
+ * Responsibilities:
+ * - Write one source/target locale pair as a PO file, with the key as msgctxt
+ * - Map cardinal plural variants to `msgid_plural`/`msgstr[n]`, in the target
+ *   locale's plural category order
+ * - Write a `Plural-Forms` header matching the locale's plural rules
+ * - Read returned PO files back into flat messages, rebuilding variant arrays
+ *
+ * This module does NOT:
+ * - Merge edits into server translations (see export.js)
+ * - Compare or save imported messages (see import.js)
+ */
+
+import { getServerVariant } from './dataStore.js';
+import { prepareTranslatorExport, downloadFile } from './export.js';
+import { getBaseLocale } from './languageDetection.js';
+import { findLocale } from './localeMatching.js';
+import { isVariantMessage } from './messageFormat.js';
+import { parseDeclarations } from './variants.js';
+
+// CLDR order; gettext plural indexes follow it
+const PLURAL_CATEGORIES = ['zero', 'one', 'two', 'few', 'many', 'other'];
+
+/**
+ * Plural-Forms expressions of common languages, indexed in CLDR category
+ * order. The one that agrees with Intl.PluralRules for a locale is used.
+ */
+const PLURAL_FORMS = [
+  { plural: '0', select: () => 0 },
+  { plural: '(n != 1)', select: n => (n != 1 ? 1 : 0) },
+  { plural: '(n > 1)', select: n => (n > 1 ? 1 : 0) },
+  {
+    plural: '(n == 1 ? 0 : n != 0 && n % 1000000 == 0 ? 1 : 2)',
+    select: n => (n == 1 ? 0 : n != 0 && n % 1000000 == 0 ? 1 : 2),
+  },
+  {
+    plural: '(n == 0 || n == 1 ? 0 : n % 1000000 == 0 ? 1 : 2)',
+    select: n => (n == 0 || n == 1 ? 0 : n % 1000000 == 0 ? 1 : 2),
+  },
+  {
+    plural: '(n % 10 == 1 && n % 100 != 11 ? 0 : n % 10 >= 2 && n % 10 <= 4 && (n % 100 < 12 || n % 100 > 14) ? 1 : 2)',
+    select: n => (n % 10 == 1 && n % 100 != 11 ? 0 : n % 10 >= 2 && n % 10 <= 4 && (n % 100 < 12 || n % 100 > 14) ? 1 : 2),
+  },
+  {
+    plural: '(n == 1 ? 0 : n % 10 >= 2 && n % 10 <= 4 && (n % 100 < 12 || n % 100 > 14) ? 1 : 2)',
+    select: n => (n == 1 ? 0 : n % 10 >= 2 && n % 10 <= 4 && (n % 100 < 12 || n % 100 > 14) ? 1 : 2),
+  },
+  {
+    plural: '(n == 1 ? 0 : n >= 2 && n <= 4 ? 1 : 3)',
+    select: n => (n == 1 ? 0 : n >= 2 && n <= 4 ? 1 : 3),
+  },
+  {
+    plural: '(n % 10 == 1 && (n % 100 < 11 || n % 100 > 19) ? 0 : n % 10 >= 2 && (n % 100 < 11 || n % 100 > 19) ? 1 : 3)',
+    select: n => (n % 10 == 1 && (n % 100 < 11 || n % 100 > 19) ? 0 : n % 10 >= 2 && (n % 100 < 11 || n % 100 > 19) ? 1 : 3),
+  },
+  {
+    plural: '(n == 1 ? 0 : n == 0 || (n % 100 >= 1 && n % 100 <= 19) ? 1 : 2)',
+    select: n => (n == 1 ? 0 : n == 0 || (n % 100 >= 1 && n % 100 <= 19) ? 1 : 2),
+  },
+  {
+    plural: '(n == 1 ? 0 : n == 2 ? 1 : 2)',
+    select: n => (n == 1 ? 0 : n == 2 ? 1 : 2),
+  },
+  {
+    plural: '(n == 0 ? 0 : n == 1 ? 1 : n == 2 ? 2 : n % 100 >= 3 && n % 100 <= 10 ? 3 : n % 100 >= 11 ? 4 : 5)',
+    select: n => (n == 0 ? 0 : n == 1 ? 1 : n == 2 ? 2 : n % 100 >= 3 && n % 100 <= 10 ? 3 : n % 100 >= 11 ? 4 : 5),
+  },
+  {
+    plural: '(n % 10 == 1 && n % 100 != 11 ? 0 : 1)',
+    select: n => (n % 10 == 1 && n % 100 != 11 ? 0 : 1),
+  },
+  {
+    plural: '(n % 10 != 4 && n % 10 != 6 && n % 10 != 9 ? 0 : 1)',
+    select: n => (n % 10 != 4 && n % 10 != 6 && n % 10 != 9 ? 0 : 1),
+  },
+  {
+    plural: '(n % 10 == 0 || (n % 100 >= 11 && n % 100 <= 19) ? 0 : n % 10 == 1 && n % 100 != 11 ? 1 : 2)',
+    select: n => (n % 10 == 0 || (n % 100 >= 11 && n % 100 <= 19) ? 0 : n % 10 == 1 && n % 100 != 11 ? 1 : 2),
+  },
+  {
+    plural: '(n % 100 == 1 ? 0 : n % 100 == 2 ? 1 : n % 100 == 3 || n % 100 == 4 ? 2 : 3)',
+    select: n => (n % 100 == 1 ? 0 : n % 100 == 2 ? 1 : n % 100 == 3 || n % 100 == 4 ? 2 : 3),
+  },
+  {
+    plural: '(n == 1 || n == 11 ? 0 : n == 2 || n == 12 ? 1 : (n >= 3 && n <= 10) || (n >= 13 && n <= 19) ? 2 : 3)',
+    select: n => (n == 1 || n == 11 ? 0 : n == 2 || n == 12 ? 1 : (n >= 3 && n <= 10) || (n >= 13 && n <= 19) ? 2 : 3),
+  },
+  {
+    plural: '(n == 1 ? 0 : n == 2 ? 1 : n >= 3 && n <= 6 ? 2 : n >= 7 && n <= 10 ? 3 : 4)',
+    select: n => (n == 1 ? 0 : n == 2 ? 1 : n >= 3 && n <= 6 ? 2 : n >= 7 && n <= 10 ? 3 : 4),
+  },
+  {
+    plural: '(n == 1 ? 0 : n == 2 ? 1 : n == 0 || (n % 100 >= 3 && n % 100 <= 10) ? 2 : n % 100 >= 11 && n % 100 <= 19 ? 3 : 4)',
+    select: n => (n == 1 ? 0 : n == 2 ? 1 : n == 0 || (n % 100 >= 3 && n % 100 <= 10) ? 2 : n % 100 >= 11 && n % 100 <= 19 ? 3 : 4),
+  },
+  {
+    plural: '(n % 10 == 1 ? 0 : n % 10 == 2 ? 1 : n % 20 == 0 ? 2 : 4)',
+    select: n => (n % 10 == 1 ? 0 : n % 10 == 2 ? 1 : n % 20 == 0 ? 2 : 4),
+  },
+  {
+    plural: '(n % 10 == 1 && n % 100 != 11 && n % 100 != 71 && n % 100 != 91 ? 0 : n % 10 == 2 && n % 100 != 12 && n % 100 != 72 && n % 100 != 92 ? 1 : (n % 10 == 3 || n % 10 == 4 || n % 10 == 9) && (n % 100 < 10 || n % 100 > 19) && (n % 100 < 70 || n % 100 > 79) && (n % 100 < 90 || n % 100 > 99) ? 2 : n != 0 && n % 1000000 == 0 ? 3 : 4)',
+    select: n => (n % 10 == 1 && n % 100 != 11 && n % 100 != 71 && n % 100 != 91 ? 0 : n % 10 == 2 && n % 100 != 12 && n % 100 != 72 && n % 100 != 92 ? 1 : (n % 10 == 3 || n % 10 == 4 || n % 10 == 9) && (n % 100 < 10 || n % 100 > 19) && (n % 100 < 70 || n % 100 > 79) && (n % 100 < 90 || n % 100 > 99) ? 2 : n != 0 && n % 1000000 == 0 ? 3 : 4),
+  },
+  {
+    plural: '(n == 0 ? 0 : n == 1 ? 1 : n == 2 ? 2 : n == 3 ? 3 : n == 6 ? 4 : 5)',
+    select: n => (n == 0 ? 0 : n == 1 ? 1 : n == 2 ? 2 : n == 3 ? 3 : n == 6 ? 4 : 5),
+  },
+];
+
+// Integers the Plural-Forms candidates are checked against
+const PLURAL_SAMPLES = [...Array(1200).keys(), 1000000, 1000001, 2000000];
+
+/**
+ * The locale's cardinal plural categories, in gettext index order.
+ *
+ * @param {string} locale
+ * @returns {string[]}
+ */
+export function getPluralCategories(locale) {
+  const categories = new Intl.PluralRules(locale).resolvedOptions().pluralCategories;
+  return PLURAL_CATEGORIES.filter(category => categories.includes(category));
+}
+
+/**
+ * The `Plural-Forms` header value for a locale.
+ *
+ * @param {string} locale
+ * @returns {string}
+ * @throws {Error} When no known expression agrees with the locale's plural rules
+ */
+function getPluralFormsHeader(locale) {
+  const categories = getPluralCategories(locale);
+  const rules = new Intl.PluralRules(locale);
+  const form = PLURAL_FORMS.find(({ select }) =>
+    PLURAL_SAMPLES.every(n => select(n) === categories.indexOf(rules.select(n)))
+  );
+
+  if (!form) {
+    throw new Error(`No gettext plural expression known for ${locale} (${categories.join(', ')})`);
+  }
+  return `nplurals=${categories.length}; plural=${form.plural};`;
+}
+
+/**
+ * The selector of a cardinal plural variant (a single selector declared as
+ * `local x = count: plural`, matched on plural categories), or null.
+ *
+ * @param {*} value - Message value
+ * @returns {string|null}
+ */
+function getPluralSelector(value) {
+  if (!isVariantMessage(value)) return null;
+
+  const { declarations, selectors = [], match } = value[0];
+  if (selectors.length !== 1) return null;
+
+  const [selector] = selectors;
+  const declaration = parseDeclarations(declarations).find(d => d.name === selector);
+  if (declaration?.type !== 'local' || declaration.transform !== 'plural') return null;
+  if ((declaration.options.type ?? 'cardinal') !== 'cardinal') return null;
+
+  const isPluralMatch = Object.keys(match).every(matchKey => {
+    const [name, category] = matchKey.split('=').map(part => part.trim());
+    return name === selector && (category === '*' || PLURAL_CATEGORIES.includes(category));
+  });
+  return isPluralMatch ? selector : null;
+}
+
+/**
+ * Text of one plural category of a variant; `*` stands in for `other`.
+ */
+function pluralText(value, selector, category) {
+  const { match } = value[0];
+  return match[`${selector}=${category}`] ?? (category === 'other' ? match[`${selector}=*`] : undefined);
+}
+
+function escapePoString(text) {
+  return text
+    .replace(/\\/g, '\\\\')
+    .replace(/"/g, '\\"')
+    .replace(/\t/g, '\\t')
+    .replace(/\r/g, '\\r')
+    .replace(/\n/g, '\\n');
+}
+
+/**
+ * Write a PO keyword with its string, splitting multi-line text into one
+ * quoted line per line as gettext tools do.
+ */
+function poLine(keyword, text = '') {
+  const lines = text.split(/(?<=\n)/);
+  if (lines.length === 1) return `${keyword} "${escapePoString(text)}"`;
+  return [`${keyword} ""`, ...lines.map(line => `"${escapePoString(line)}"`)].join('\n');
+}
+
+/**
+ * Build a PO file for one locale pair. Cardinal plural variants become plural
+ * entries, other variants one entry per match key (`key [matchKey]` as
+ * msgctxt), and everything else a plain entry with the key as msgctxt.
+ *
+ * @param {{ [locale: string]: Object }} translations - Merged flat messages keyed by locale
+ * @param {string} sourceLocale - Locale of msgid
+ * @param {string} targetLocale - Locale of msgstr
+ * @param {string[]} keys - Keys to include
+ * @returns {string} PO file content
+ */
+export function buildPo(translations, sourceLocale, targetLocale, keys) {
+  const source = translations[sourceLocale] || {};
+  const target = translations[targetLocale] || {};
+  const targetCategories = getPluralCategories(targetLocale);
+
+  const entries = [[
+    'msgid ""',
+    'msgstr ""',
+    '"Content-Type: text/plain; charset=UTF-8\\n"',
+    `"Language: ${escapePoString(targetLocale)}\\n"`,
+    `"Plural-Forms: ${getPluralFormsHeader(targetLocale)}\\n"`,
+    `"X-Source-Language: ${escapePoString(sourceLocale)}\\n"`,
+  ].join('\n')];
+
+  for (const key of keys) {
+    const sourceSelector = getPluralSelector(source[key]);
+    const targetSelector = getPluralSelector(target[key]);
+
+    if (sourceSelector || targetSelector) {
+      const sourceOne = sourceSelector ? pluralText(source[key], sourceSelector, 'one') : undefined;
+      const sourceOther = sourceSelector ? pluralText(source[key], sourceSelector, 'other') : undefined;
+      const fallback = typeof source[key] === 'string' ? source[key] : '';
+
+      entries.push([
+        `#. msgstr[n]: ${targetCategories.map((category, index) => `${index} = ${category}`).join(', ')}`,
+        poLine('msgctxt', key),
+        poLine('msgid', sourceOne ?? sourceOther ?? fallback),
+        poLine('msgid_plural', sourceOther ?? sourceOne ?? fallback),
+        ...targetCategories.map((category, index) =>
+          poLine(`msgstr[${index}]`, targetSelector ? pluralText(target[key], targetSelector, category) ?? '' : '')
+        ),
+      ].join('\n'));
+      continue;
+    }
+
+    if (isVariantMessage(source[key]) || isVariantMessage(target[key])) {
+      const matchKeys = [...new Set([
+        ...Object.keys(isVariantMessage(source[key]) ? source[key][0].match : {}),
+        ...Object.keys(isVariantMessage(target[key]) ? target[key][0].match : {}),
+      ])];
+      for (const matchKey of matchKeys) {
+        const sourceText = isVariantMessage(source[key]) ? source[key][0].match[matchKey] : source[key];
+        const targetText = isVariantMessage(target[key]) ? target[key][0].match[matchKey] : undefined;
+        entries.push([
+          poLine('msgctxt', `${key} [${matchKey}]`),
+          poLine('msgid', String(sourceText ?? '')),
+          poLine('msgstr', targetText ?? ''),
+        ].join('\n'));
+      }
+      continue;
+    }
+
+    entries.push([
+      poLine('msgctxt', key),
+      poLine('msgid', String(source[key] ?? '')),
+      poLine('msgstr', typeof target[key] === 'string' ? target[key] : ''),
+    ].join('\n'));
+  }
+
+  return entries.join('\n\n') + '\n';
+}
+
+/**
+ * Download a PO file for translators: the server translations merged with
+ * the edits included under Pending Changes.
+ *
+ * @param {Object} options - See prepareTranslatorExport()
+ * @param {string} [options.sourceLocale] - Defaults to the base locale
+ * @param {string} options.targetLocale
+ * @param {'all'|'changed'} [options.scope]
+ * @returns {Promise<{ file: string|null, keys: number }>} Downloaded file name
+ *   (null when no key matched) and the number of keys in it
+ */
+export async function exportPo({ sourceLocale = getBaseLocale(), targetLocale, scope = 'all' } = {}) {
+  try {
+    const { translations, keys } = await prepareTranslatorExport({ sourceLocale, targetLocale, scope });
+
+    if (keys.length === 0) {
+      console.debug('[paraglide-editor] No keys to export as PO');
+      return { file: null, keys: 0 };
+    }
+
+    const file = `${targetLocale}.po`;
+    downloadFile(file, buildPo(translations, sourceLocale, targetLocale, keys), 'text/x-gettext-translation');
+
+    console.debug(`[paraglide-editor] Exported ${keys.length} keys to ${file}`);
+    return { file, keys: keys.length };
+  } catch (error) {
+    console.error('[paraglide-editor] PO export failed:', error);
+    throw error;
+  }
+}
+
+function unescapePoString(text) {
+  return text.replace(/\\(.)/g, (match, char) => ({ n: '\n', t: '\t', r: '\r' }[char] ?? char));
+}
+
+/**
+ * Split a PO file into entries of `{ flags, fields }`, where fields maps
+ * `msgctxt`, `msgid`, `msgid_plural`, `msgstr` and `msgstr[n]` to text.
+ * Obsolete (`#~`) entries are dropped.
+ */
+function parsePoEntries(text) {
+  const entries = [];
+  let entry = null;
+  let field = null;
+
+  const startEntry = () => {
+    entry = { flags: [], fields: {} };
+    entries.push(entry);
+  };
+
+  for (const rawLine of text.split(/\r?\n/)) {
+    const line = rawLine.trim();
+
+    if (line === '' || line.startsWith('#~')) {
+      field = null;
+      continue;
+    }
+
+    if (line.startsWith('#')) {
+      // Comments open an entry, or belong to the one they precede
+      if (!entry || Object.keys(entry.fields).length > 0) startEntry();
+      field = null;
+      if (line.startsWith('#,')) {
+        entry.flags.push(...line.slice(2).split(',').map(flag => flag.trim()));
+      }
+      continue;
+    }
+
+    const keyword = line.match(/^(msgctxt|msgid_plural|msgid|msgstr(?:\[\d+\])?)\s+"(.*)"$/);
+    if (keyword) {
+      const [, name, value] = keyword;
+      // msgctxt or msgid after a complete entry starts the next one
+      if (!entry || ((name === 'msgctxt' || name === 'msgid') && entry.fields.msgid !== undefined)) {
+        startEntry();
+      }
+      field = name;
+      entry.fields[field] = unescapePoString(value);
+      continue;
+    }
+
+    const continuation = line.match(/^"(.*)"$/);
+    if (continuation && entry && field) {
+      entry.fields[field] += unescapePoString(continuation[1]);
+    }
+  }
+
+  return entries.filter(({ fields }) => fields.msgid !== undefined);
+}
+
+/**
+ * Parse a PO file into the target locale's flat messages. The locale comes
+ * from the `Language` header, else the file name. Plural entries rebuild the
+ * key's variant array from the key's server declarations, untranslated and
+ * fuzzy entries are skipped. Plural entries without their `other` form, and
+ * variant messages with some `key [matchKey]` entries untranslated, are
+ * reported and skipped.
+ *
+ * @param {string} text - File content
+ * @param {string} fileName - File name, used when there is no `Language` header
+ * @param {string[]} locales - Project locales
+ * @param {Function} [report] - Called with a description of each skipped entry
+ * @returns {{ [locale: string]: Object }} Flat messages keyed by locale
+ */
+export function parsePoImport(text, fileName, locales, report = () => {}) {
+  const entries = parsePoEntries(text);
+  const header = entries.find(({ fields }) => fields.msgid === '' && fields.msgctxt === undefined);
+  const language = header?.fields.msgstr?.match(/^Language:\s*(.+)$/m)?.[1].trim();
+  const baseName = fileName.split(/[\\/]/).pop().replace(/\.[^.]+$/, '');
+  const locale = (language && findLocale(language, locales)) || findLocale(baseName, locales);
+  if (!locale) {
+    throw new Error(`Language "${language || baseName}" is not a project locale (${locales.join(', ')})`);
+  }
+
+  const categories = getPluralCategories(locale);
+  const messages = {};
+  const variants = {};
+
+  for (const { flags, fields } of entries) {
+    if (fields === header?.fields) continue;
+
+    const context = fields.msgctxt;
+    if (context === undefined) {
+      report(`"${fields.msgid}" has no msgctxt with the key, skipped`);
+      continue;
+    }
+    const variantContext = context.match(/^(.*) \[(.+)\]$/);
+    if (variantContext) variants[variantContext[1]] ??= { match: {}, untranslated: [] };
+
+    if (flags.includes('fuzzy')) {
+      report(`${context}: marked fuzzy, skipped`);
+      if (variantContext) variants[variantContext[1]].untranslated.push(variantContext[2]);
+      continue;
+    }
+
+    if (fields.msgid_plural !== undefined) {
+      const existing = getServerVariant(locale, context);
+      const selector = getPluralSelector(existing) ?? 'countPlural';
+      const usesWildcard = existing && existing[0].match[`${selector}=*`] !== undefined;
+
+      const match = {};
+      categories.forEach((category, index) => {
+        const translation = fields[`msgstr[${index}]`];
+        if (!translation) return;
+        const name = category === 'other' && usesWildcard ? '*' : category;
+        match[`${selector}=${name}`] = translation;
+      });
+      if (Object.keys(match).length === 0) continue;
+
+      // `other` renders every count the other forms do not cover
+      if (!fields[`msgstr[${categories.indexOf('other')}]`]) {
+        report(`${context}: no translation for other, skipped`);
+        continue;
+      }
+
+      messages[context] = [{
+        declarations: existing?.[0].declarations ?? ['input count', `local ${selector} = count: plural`],
+        selectors: [selector],
+        match,
+      }];
+      continue;
+    }
+
+    if (variantContext) {
+      const [, key, matchKey] = variantContext;
+      if (fields.msgstr) variants[key].match[matchKey] = fields.msgstr;
+      else variants[key].untranslated.push(matchKey);
+    } else if (fields.msgstr) {
+      messages[context] = fields.msgstr;
+    }
+  }
+
+  for (const [key, { match, untranslated }] of Object.entries(variants)) {
+    if (Object.keys(match).length === 0) continue;
+    if (untranslated.length > 0) {
+      report(`${key}: no translation for ${untranslated.join(', ')}, skipped`);
+      continue;
+    }
+
+    const existing = getServerVariant(locale, key);
+    messages[key] = [{
+      declarations: existing?.[0].declarations ?? [],
+      selectors: existing?.[0].selectors ?? [],
+      match,
+    }];
+  }
+
+  return { [locale]: messages };
+}
@@ -0,0 +1,220 @@
+/**
+ * Translation Import
+ *
+ * Purpose: Turn translation files handed back by translators (or exported on
+ * another machine) into local edits.
+ *
+ * Responsibilities:
+ * - Read `{locale}.json` files and single multi-locale JSON files
+ * - Hand other formats to their parsers (xliff.js, spreadsheet.js, gettext.js)
+ * - Diff imported messages against the server translations and local edits
+ * - Report conflicts with existing local edits
+ * - Write the accepted differences as local edits
+ *
+ * This module does NOT:
+ * - Provide UI (see ui/importDialog.js)
+ * - Export files (see export.js)
+ */
+
+import { saveTranslationEdit } from './db.js';
+import { getServerTranslations, getTranslationVersions, updateLocalCache } from './dataStore.js';
+import { flattenMessages, isVariantMessage } from './messageFormat.js';
+import { findLocale } from './localeMatching.js';
+import { refreshElementsByKey } from './overlay.js';
+import { parseXliffImport } from './xliff.js';
+import { parseSpreadsheetImport } from './spreadsheet.js';
+import { parsePoImport } from './gettext.js';
+
+/**
+ * File parsers by extension. Each is called with the file's text, its name,
+ * the project locales and a `report(message)` callback for messages it skips,
+ * and returns `{ [locale]: { [key]: value } }` with flat keys. Throwing
+ * rejects the whole file.
+ */
+const importParsers = {
+  json: parseJsonImport,
+  xlf: parseXliffImport,
+  xliff: parseXliffImport,
+  csv: parseSpreadsheetImport,
+  tsv: parseSpreadsheetImport,
+  po: parsePoImport,
+};
+
+/**
+ * Comparable form of a message. Variant edits are stored as JSON strings, and
+ * their object keys may come back in another order.
+ */
+function normalizeValue(value) {
+  if (typeof value === 'string') {
+    if (!value.startsWith('[')) return value;
+    try {
+      value = JSON.parse(value);
+    } catch {
+      return value;
+    }
+  }
+  return JSON.stringify(value, (name, node) =>
+    node && typeof node === 'object' && !Array.isArray(node)
+      ? Object.fromEntries(Object.entries(node).sort(([a], [b]) => a.localeCompare(b)))
+      : node
+  );
+}
+
+function isMessageValue(value) {
+  return typeof value === 'string' || isVariantMessage(value);
+}
+
+/**
+ * Parse a JSON import: a `{locale}.json` message file, or one object keyed
+ * by locale holding every locale's messages.
+ *
+ * @param {string} text - File content
+ * @param {string} fileName - File name, used for the locale of single-locale files
+ * @param {string[]} locales - Project locales
+ * @returns {{ [locale: string]: Object }} Flat messages keyed by locale
+ */
+export function parseJsonImport(text, fileName, locales) {
+  const data = JSON.parse(text);
+  if (data === null || typeof data !== 'object' || Array.isArray(data)) {
+    throw new Error('Expected a JSON object of messages');
+  }
+
+  const entries = Object.entries(data).filter(([key]) => key !== '$schema');
+  const isMultiLocale = entries.length > 0 && entries.every(([key, value]) =>
+    findLocale(key, locales) && value !== null && typeof value === 'object' && !Array.isArray(value)
+  );
+
+  if (isMultiLocale) {
+    const result = {};
+    for (const [key, messages] of entries) {
+      result[findLocale(key, locales)] = flattenMessages(messages);
+    }
+    return result;
+  }
+
+  const baseName = fileName.split(/[\\/]/).pop().replace(/\.[^.]+$/, '');
+  const locale = findLocale(baseName, locales);
+  if (!locale) {
+    throw new Error(`"${fileName}" is not named after a project locale (${locales.join(', ')})`);
+  }
+  return { [locale]: flattenMessages(data) };
+}
+
+/**
+ * Read import files with the parser matching each file's extension.
+ *
+ * @param {FileList|File[]} files - Files picked by the user
+ * @returns {Promise<{ messages: { [locale: string]: Object }, errors: string[] }>}
+ *   Messages of all readable files, and the files or messages that failed
+ */
+export async function readImportFiles(files) {
+  const locales = Object.keys(getServerTranslations() || {});
+  const messages = {};
+  const errors = [];
+
+  for (const file of files) {
+    const extension = file.name.split('.').pop().toLowerCase();
+    const parse = importParsers[extension];
+    if (!parse) {
+      errors.push(`${file.name}: unsupported file type`);
+      continue;
+    }
+
+    try {
+      const report = (message) => errors.push(`${file.name}: ${message}`);
+      const parsed = parse(await file.text(), file.name, locales, report);
+      for (const [locale, localeMessages] of Object.entries(parsed)) {
+        messages[locale] = { ...messages[locale], ...localeMessages };
+      }
+    } catch (error) {
+      console.warn(`[paraglide-editor] Could not import ${file.name}:`, error);
+      errors.push(`${file.name}: ${error.message}`);
+    }
+  }
+
+  return { messages, errors };
+}
+
+/**
+ * Compare imported messages with the server translations and local edits.
+ *
+ * A message equal to the server value, or to the current local edit, is
+ * unchanged. A message that differs from the server value is a change; when
+ * the key already has a local edit with another value, it is a conflict.
+ *
+ * @param {{ [locale: string]: Object }} messages - Imported flat messages keyed by locale
+ * @returns {{ changes: Array<Object>, unchanged: number, invalid: string[] }}
+ *   Changes as `{ locale, key, value, serverValue, localValue, status }` where
+ *   status is `new` (key missing on the server), `changed` or `conflict`
+ */
+export function planImport(messages) {
+  const serverTranslations = getServerTranslations() || {};
+  const changes = [];
+  const invalid = [];
+  let unchanged = 0;
+
+  for (const [locale, localeMessages] of Object.entries(messages)) {
+    for (const [key, value] of Object.entries(localeMessages)) {
+      if (!isMessageValue(value)) {
+        invalid.push(`${locale}:${key}`);
+        continue;
+      }
+
+      const serverValue = serverTranslations[locale]?.[key];
+      // Files handed back often keep untranslated keys as empty strings
+      if (value === '' && serverValue === undefined) {
+        unchanged++;
+        continue;
+      }
+
+      const versions = getTranslationVersions(locale, key);
+      const imported = normalizeValue(value);
+      const matchesServer = serverValue !== undefined && imported === normalizeValue(serverValue);
+      const matchesLocal = versions.isEdited && imported === normalizeValue(versions.edited);
+
+      if (matchesServer || matchesLocal) {
+        unchanged++;
+        continue;
+      }
+
+      let status = serverValue === undefined ? 'new' : 'changed';
+      if (versions.isEdited) status = 'conflict';
+
+      changes.push({
+        locale,
+        key,
+        value,
+        serverValue: serverValue ?? '',
+        localValue: versions.isEdited ? versions.edited : null,
+        status,
+      });
+    }
+  }
+
+  return { changes, unchanged, invalid };
+}
+
+/**
+ * Save imported changes as local edits and refresh the page.
+ *
+ * @param {Array<Object>} changes - Changes from planImport() to apply
+ * @returns {Promise<number>} Number of saved edits
+ */
+export async function applyImport(changes) {
+  const keys = new Set();
+
+  for (const { locale, key, value } of changes) {
+    // Variant edits are stored as JSON strings, like edits made in the popup
+    const valueToSave = typeof value === 'string' ? value : JSON.stringify(value);
+    await saveTranslationEdit(locale, key, valueToSave, null, 'import');
+    updateLocalCache(locale, key, valueToSave, true, false);
+    keys.add(key);
+  }
+
+  for (const key of keys) {
+    refreshElementsByKey(key);
+  }
+
+  console.debug(`[paraglide-editor] ✓ Imported ${changes.length} edits`);
+  return changes.length;
+}
@@ -0,0 +1,64 @@
+/**
+ * Zero-Width Key Markers
+ *
+ * Purpose: Identify which message call produced a piece of rendered text,
+ * even when several keys render the same text.
+ *
+ * Responsibilities:
+ * - Encode a call ID as an invisible marker prefixed to message output
+ * - Find and decode markers in text node content and attribute values
+ * - Strip markers so they never reach the visible page
+ *
+ * Markers are only emitted when the plugin runs with `encodeKeys: true`.
+ * The encoder runs inside the message wrapper (see the `wrap.js` virtual
+ * module in index.js), so this module must stay free of DOM APIs.
+ *
+ * This module does NOT:
+ * - Record calls (the wrapper keeps `window.__paraglideEditor.calls`)
+ * - Match elements to keys (see registry.js)
+ */
+
+// U+2063 INVISIBLE SEPARATOR opens a marker, U+200D ZERO WIDTH JOINER closes it,
+// and the call ID is written in binary with U+200B (0) and U+200C (1) in between
+const MARKER_START = '\u2063';
+const MARKER_END = '\u200D';
+const BIT_ZERO = '\u200B';
+const BIT_ONE = '\u200C';
+
+const MARKER_PATTERN = /\u2063([\u200B\u200C]+)\u200D/g;
+
+/**
+ * Encode a call ID as a zero-width marker.
+ *
+ * @param {number} id - Positive integer call ID
+ * @returns {string} Invisible marker string
+ */
+export function encodeMarker(id) {
+  const bits = id.toString(2).replace(/0/g, BIT_ZERO).replace(/1/g, BIT_ONE);
+  return MARKER_START + bits + MARKER_END;
+}
+
+/**
+ * Quick check before running the full decoder.
+ *
+ * @param {string} text
+ * @returns {boolean}
+ */
+export function hasMarkers(text) {
+  return typeof text === 'string' && text.includes(MARKER_START);
+}
+
+/**
+ * Decode every marker in a string and return the string without them.
+ *
+ * @param {string} text - Text that may contain markers
+ * @returns {{ text: string, ids: number[] }} Stripped text and call IDs in order of appearance
+ */
+export function decodeMarkers(text) {
+  const ids = [];
+  const stripped = text.replace(MARKER_PATTERN, (_, bits) => {
+    ids.push(parseInt(bits.replace(/\u200B/g, '0').replace(/\u200C/g, '1'), 2));
+    return '';
+  });
+  return { text: stripped, ids };
+}
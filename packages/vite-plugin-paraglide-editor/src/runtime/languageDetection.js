@@ -4,10 +4,17 @@
  * Purpose: Detect current locale and handle language switching.
  *
  * Responsibilities:
- * - Detect current locale from localStorage, cookies, and HTML lang attribute
- * - Watch for locale changes via multiple mechanisms
+ * - Detect current locale from Paraglide's runtime (`getLocale()`), falling
+ *   back to the editor override and Paraglide's strategy order
+ *   (see localeStrategies.js)
+ * - Switch the app's locale through Paraglide's `setLocale()`
+ * - Watch for locale changes via multiple mechanisms, including the app's
+ *   own `setLocale()` calls and route changes that switch the URL locale
+ *   (Navigation API, or `popstate` plus wrapped `pushState`/`replaceState`)
+ * - Undo all of that on teardown (stopLanguageDetection)
  * - Fire language change events
- * - Re-render all translations when language changes
+ * - Re-render all translations when language changes, using fallback locales
+ *   for keys the new locale is missing
  * - Maintain current locale state
  *
  * This module does NOT:
@@ -16,29 +23,56 @@
  * - Manage element registry (see registry.js)
  */
 
-import { getDisplayTranslation } from './dataStore.js';
-import { renderTranslation, renderEditedTemplate } from './renderer.js';
-import { setElementOutline } from './styles.js';
+import { renderDisplayTranslation } from './renderer.js';
+import { setElementOutline, worstOutlineState } from './styles.js';
+import { computeSlotOutlineState } from './overlay.js';
 import { getElementSlots } from './registry.js';
+import { detectLocaleFromStrategies, getStrategySettings } from './localeStrategies.js';
+import { matchLocale, negotiateLocale } from './localeMatching.js';
 
+/**
+ * Paraglide's compiled runtime, registered by the message wrappers
+ * (see generateWrapperModule in index.js). Null until a message module loads.
+ *
+ * @returns {Object|null}
+ */
+export function getParaglideRuntime() {
+  return window.__paraglideEditor?.paraglideRuntime || null;
+}
+
+/**
+ * The project's base locale, from Paraglide's runtime or the project settings.
+ *
+ * @returns {string|null}
+ */
+export function getBaseLocale() {
+  return getStrategySettings(getParaglideRuntime()).baseLocale;
+}
+
+/**
+ * @returns {string|null} Detected locale, or null when nothing names one
+ *   (an empty `<html lang>` does not count)
+ */
 function detectCurrentLocale() {
-  const editorOverride = localStorage.getItem('pge-locale-override');
-  if (editorOverride) {
-    return editorOverride;
+  const runtime = getParaglideRuntime();
+  if (runtime) {
+    try {
+      return runtime.getLocale();
+    } catch (error) {
+      console.debug('[paraglide-editor] Paraglide getLocale() failed, using strategy order:', error.message);
+    }
   }
 
-  const htmlLang = document.documentElement.lang;
-  if (htmlLang) {
-    return htmlLang.split('-')[0];
-  }
+  const { locales, baseLocale } = getStrategySettings(runtime);
 
-  return 'en';
-}
+  const editorOverride = runtime ? null : localStorage.getItem('pge-locale-override');
+  if (editorOverride) {
+    return matchLocale(editorOverride, locales) ?? editorOverride;
+  }
 
-/** Outline state priority: higher index wins */
-const OUTLINE_PRIORITY = ['none', 'hoverable', 'edited', 'conflict'];
-function worstOutlineState(a, b) {
-  return OUTLINE_PRIORITY.indexOf(a) >= OUTLINE_PRIORITY.indexOf(b) ? a : b;
+  return detectLocaleFromStrategies(runtime)
+    ?? negotiateLocale(document.documentElement.lang, locales, baseLocale)
+    ?? (document.documentElement.lang || null);
 }
 
 function reRenderAllTranslations(newLocale) {
@@ -51,22 +85,22 @@ function reRenderAllTranslations(newLocale) {
 
     let anyEdited = false;
     let worstState = 'hoverable';
+    const slotStates = [];
 
     for (const [slotName, slotData] of Object.entries(slots)) {
       const { key, params } = slotData;
-      const translation = getDisplayTranslation(newLocale, key);
+      const slotState = computeSlotOutlineState(key, params, newLocale);
+      slotStates.push(slotState);
+      worstState = worstOutlineState(worstState, slotState);
 
-      if (!translation.value) {
-        console.warn(`[paraglide-editor] No translation found for ${key} in ${newLocale}`);
+      const translation = renderDisplayTranslation(key, params, newLocale);
+
+      if (!translation) {
+        console.warn(`[paraglide-editor] No translation found for ${key} in ${newLocale} or its fallbacks`);
         continue;
       }
 
-      let rendered;
-      if (translation.isEdited) {
-        rendered = renderEditedTemplate(translation.value, params, newLocale);
-      } else {
-        rendered = renderTranslation(key, params, newLocale);
-      }
+      const rendered = translation.text;
 
       const isAttr = slotName !== '_text';
       if (isAttr) {
@@ -81,10 +115,9 @@ function reRenderAllTranslations(newLocale) {
         }
       }
 
-      if (translation.isEdited) {
+      // An edit in the fallback locale still leaves this locale untranslated
+      if (translation.isEdited && !translation.isFallback) {
         anyEdited = true;
-        const slotState = translation.hasConflict ? 'conflict' : 'edited';
-        worstState = worstOutlineState(worstState, slotState);
       }
     }
 
@@ -95,7 +128,7 @@ function reRenderAllTranslations(newLocale) {
     }
 
     const overlayEnabled = window.__paraglideEditor.isOverlayEnabled?.();
-    setElementOutline(element, overlayEnabled ? worstState : 'none');
+    setElementOutline(element, overlayEnabled ? worstState : 'none', slotStates);
   });
 
   console.debug(`[paraglide-editor] ✓ Re-rendered ${renderedCount} elements for locale ${newLocale}`);
@@ -118,23 +151,144 @@ export function updateCurrentLocale() {
   return newLocale;
 }
 
+/**
+ * Switch the app's locale with Paraglide's `setLocale()`.
+ *
+ * The switch is tried in place first (`reload: false`). When the locale
+ * cannot change without navigating (e.g. the `url` strategy), Paraglide's
+ * default reload behavior takes over.
+ *
+ * @param {string} newLocale - Locale to switch to
+ * @returns {boolean} False when Paraglide's runtime is not available
+ */
+export function setAppLocale(newLocale) {
+  const runtime = getParaglideRuntime();
+  if (!runtime) return false;
+
+  const afterSet = () => {
+    if (runtime.getLocale() !== newLocale) {
+      runtime.setLocale(newLocale);
+      return;
+    }
+    updateCurrentLocale();
+  };
+
+  const result = runtime.setLocale(newLocale, { reload: false });
+  if (result instanceof Promise) {
+    result.then(afterSet, (error) => {
+      console.error('[paraglide-editor] Paraglide setLocale() failed:', error);
+    });
+  } else {
+    afterSet();
+  }
+  return true;
+}
+
+let followedRuntime = null;
+
+/**
+ * Follow locale switches made by the app through Paraglide's `setLocale()`.
+ * The app's implementation keeps running; the editor is told afterwards.
+ * An app that calls `overwriteSetLocale()` later replaces this hook, in which
+ * case the editor still follows `<html lang>` changes.
+ */
+function followParaglideRuntime() {
+  const runtime = getParaglideRuntime();
+  if (!runtime || runtime === followedRuntime) return;
+  followedRuntime = runtime;
+
+  if (typeof runtime.overwriteSetLocale === 'function') {
+    const appSetLocale = runtime.setLocale;
+    runtime.overwriteSetLocale((newLocale, options) => {
+      const result = appSetLocale(newLocale, options);
+      if (result instanceof Promise) {
+        return result.then((value) => {
+          updateCurrentLocale();
+          return value;
+        });
+      }
+      updateCurrentLocale();
+      return result;
+    });
+  }
+
+  // The app's locale is now authoritative
+  localStorage.removeItem('pge-locale-override');
+  console.debug('[paraglide-editor] ✓ Following Paraglide runtime locale');
+  updateCurrentLocale();
+}
+
+/**
+ * Re-detect the locale after client-side navigation, which can switch the
+ * URL locale (`/en/about` → `/de/about`) without a page load.
+ *
+ * The Navigation API reports every same-document navigation, including the
+ * router's `pushState()`/`replaceState()` calls. Browsers without it only
+ * fire `popstate` for back/forward, so the two history methods are wrapped
+ * there, and put back on teardown unless something else wrapped them since.
+ *
+ * @param {AbortSignal} signal - Aborted to stop watching
+ */
+function watchRouteChanges(signal) {
+  const onNavigate = () => updateCurrentLocale();
+
+  if (window.navigation) {
+    window.navigation.addEventListener('currententrychange', onNavigate, { signal });
+    return;
+  }
+
+  window.addEventListener('popstate', onNavigate, { signal });
+
+  for (const method of ['pushState', 'replaceState']) {
+    const original = history[method];
+    const wrapped = function (...args) {
+      const result = original.apply(this, args);
+      updateCurrentLocale();
+      return result;
+    };
+    history[method] = wrapped;
+
+    signal.addEventListener('abort', () => {
+      if (history[method] === wrapped) history[method] = original;
+    });
+  }
+}
+
+let detectionController = null;
+
 export function initLanguageDetection() {
+  stopLanguageDetection();
+  detectionController = new AbortController();
+  const { signal } = detectionController;
+
   window.__paraglideEditor = window.__paraglideEditor || {};
 
   window.__paraglideEditor.currentLocale = detectCurrentLocale();
   console.debug('[paraglide-editor] Initial locale:', window.__paraglideEditor.currentLocale);
 
+  // Message modules may load before or after the editor runtime
+  followParaglideRuntime();
+  window.addEventListener('__paraglideEditorRuntimeReady', followParaglideRuntime, { signal });
+
   window.addEventListener('__paraglideEditorLanguageChange', (e) => {
     console.debug('[paraglide-editor] Handling __paraglideEditorLanguageChange event:', e.detail);
     reRenderAllTranslations(e.detail.newLocale);
-  });
+  }, { signal });
 
   window.addEventListener('storage', (e) => {
     if (e.key === 'pge-locale-override') {
       console.debug('[paraglide-editor] Detected editor locale override change');
       updateCurrentLocale();
+    } else if (e.key === getStrategySettings(getParaglideRuntime()).localStorageKey) {
+      console.debug('[paraglide-editor] Detected Paraglide locale change in another tab');
+      updateCurrentLocale();
     }
-  });
+  }, { signal });
+
+  watchRouteChanges(signal);
+
+  // Cookie changes are observable where the Cookie Store API exists
+  window.cookieStore?.addEventListener('change', () => updateCurrentLocale(), { signal });
 
   const htmlLangObserver = new MutationObserver((mutations) => {
     const langChanged = mutations.some(mutation =>
@@ -153,12 +307,24 @@ export function initLanguageDetection() {
     attributes: true,
     attributeFilter: ['lang'],
   });
+  signal.addEventListener('abort', () => htmlLangObserver.disconnect());
 
   window.__paraglideEditor.updateCurrentLocale = updateCurrentLocale;
 
   console.debug('[paraglide-editor] ✓ Language detection initialized');
 }
 
+/**
+ * Stop watching for locale changes: remove the listeners and observer added
+ * by initLanguageDetection() and restore the wrapped history methods.
+ * The hook installed with `overwriteSetLocale()` stays, as Paraglide has no
+ * way to remove it.
+ */
+export function stopLanguageDetection() {
+  detectionController?.abort();
+  detectionController = null;
+}
+
 export function getCurrentLocale() {
   return window.__paraglideEditor?.currentLocale || detectCurrentLocale();
 }
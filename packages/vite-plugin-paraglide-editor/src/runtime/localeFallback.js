@@ -0,0 +1,72 @@
+/**
+ * Locale Fallback Chains
+ *
+ * Purpose: Decide which locale's text to show for a key that has no
+ * translation in the current locale.
+ *
+ * Responsibilities:
+ * - Build a locale's fallback chain: the configured `fallbackLocales`, or
+ *   else its parent tags (`fr-CA` → `fr`), always ending with the base locale
+ * - Resolve the translation to display along that chain
+ *
+ * This module does NOT:
+ * - Render templates (see renderer.js)
+ * - Style elements showing fallback text (see styles.js)
+ */
+
+import { getDisplayTranslation } from './dataStore.js';
+import { getParaglideRuntime } from './languageDetection.js';
+import { getStrategySettings } from './localeStrategies.js';
+import { matchLocale } from './localeMatching.js';
+
+/**
+ * Fallback locales for a locale, in order, without the locale itself.
+ *
+ * @param {string} locale - Locale code (e.g. `fr-CA`)
+ * @returns {string[]} Fallback locales (e.g. `['fr', 'en']`)
+ */
+export function getFallbackChain(locale) {
+  const { locales, baseLocale } = getStrategySettings(getParaglideRuntime());
+  const configured = window.__paraglideEditor?.config?.fallbackLocales?.[locale];
+
+  let chain;
+  if (configured) {
+    chain = [configured].flat();
+  } else {
+    // Parent tags that are project locales: zh-Hant-TW → zh-Hant → zh
+    const subtags = locale.split('-');
+    chain = [];
+    for (let length = subtags.length - 1; length > 0; length--) {
+      const parent = matchLocale(subtags.slice(0, length).join('-'), locales);
+      if (parent) chain.push(parent);
+    }
+  }
+  if (baseLocale) chain.push(baseLocale);
+
+  return [...new Set(chain)].filter(fallback => fallback !== locale);
+}
+
+/**
+ * Get the translation to display for a key, following the fallback chain
+ * when the locale has neither a server value nor a local edit.
+ *
+ * @param {string} locale - Locale being rendered
+ * @param {string} key - Translation key
+ * @returns {Object} getDisplayTranslation() result, plus the `locale` it
+ *   came from and `isFallback` when that is not the requested locale
+ */
+export function resolveDisplayTranslation(locale, key) {
+  const translation = getDisplayTranslation(locale, key);
+  if (translation.value) {
+    return { ...translation, locale, isFallback: false };
+  }
+
+  for (const fallback of getFallbackChain(locale)) {
+    const fallbackTranslation = getDisplayTranslation(fallback, key);
+    if (fallbackTranslation.value) {
+      return { ...fallbackTranslation, locale: fallback, isFallback: true };
+    }
+  }
+
+  return { ...translation, locale, isFallback: false };
+}
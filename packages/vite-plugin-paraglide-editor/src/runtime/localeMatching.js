@@ -0,0 +1,74 @@
+/**
+ * BCP 47 Locale Matching
+ *
+ * Purpose: Map a language tag from the document, the browser or the app onto
+ * one of the project's locales.
+ *
+ * Responsibilities:
+ * - Match tags case-insensitively (`en-us` → `en-US`)
+ * - Fall back by truncating subtags (`zh-Hant-TW` → `zh-Hant` → `zh`)
+ * - Fall back to any project locale of the same language (`en` → `en-US`)
+ * - Fall back to the base locale when nothing matches
+ *
+ * This module does NOT:
+ * - Decide which tag to match (see localeStrategies.js, languageDetection.js)
+ */
+
+function normalizeTag(tag) {
+  return tag.trim().replace(/_/g, '-').toLowerCase();
+}
+
+/**
+ * Find the project locale a tag names exactly, ignoring case and `_`/`-`.
+ *
+ * @param {string} tag - Language tag (e.g. `pt_br` from a file name)
+ * @param {string[]} locales - Project locales
+ * @returns {string|undefined} Matching project locale
+ */
+export function findLocale(tag, locales) {
+  const normalized = normalizeTag(tag);
+  return locales.find(locale => normalizeTag(locale) === normalized);
+}
+
+/**
+ * Find the project locale that best matches a language tag.
+ *
+ * Tries an exact match, then the tag with trailing subtags removed one at a
+ * time, then the first locale sharing the tag's language. A language-only
+ * locale (`en`) wins over regional ones (`en-GB`) in that last step.
+ *
+ * @param {string|undefined|null} tag - Language tag (e.g. `en-AU`)
+ * @param {string[]} locales - Project locales
+ * @returns {string|undefined} Matching project locale
+ */
+export function matchLocale(tag, locales) {
+  if (!tag || locales.length === 0) return undefined;
+
+  const byTag = new Map(locales.map(locale => [normalizeTag(locale), locale]));
+
+  const subtags = normalizeTag(tag).split('-');
+  for (let length = subtags.length; length > 0; length--) {
+    const candidate = byTag.get(subtags.slice(0, length).join('-'));
+    if (candidate) return candidate;
+  }
+
+  const language = subtags[0];
+  return locales.find(locale => normalizeTag(locale).split('-')[0] === language);
+}
+
+/**
+ * Pick a project locale for one or more requested tags, in order of preference.
+ *
+ * @param {string|string[]|undefined|null} requested - Tag or tags (e.g. `navigator.languages`)
+ * @param {string[]} locales - Project locales
+ * @param {string|null} [baseLocale] - Locale used when nothing matches
+ * @returns {string|undefined} Matching project locale, else the base locale
+ */
+export function negotiateLocale(requested, locales, baseLocale = null) {
+  const tags = Array.isArray(requested) ? requested : [requested];
+  for (const tag of tags) {
+    const locale = matchLocale(tag, locales);
+    if (locale) return locale;
+  }
+  return baseLocale ?? locales[0];
+}
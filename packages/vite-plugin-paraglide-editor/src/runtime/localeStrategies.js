@@ -0,0 +1,114 @@
+/**
+ * Paraglide Locale Strategies
+ *
+ * Purpose: Resolve the current locale the way Paraglide's runtime does, when
+ * its own `getLocale()` is unavailable (not loaded yet) or fails.
+ *
+ * Responsibilities:
+ * - Walk the strategy order compiled into Paraglide's runtime (`cookie`,
+ *   `url`, `globalVariable`, `preferredLanguage`, `localStorage`, `baseLocale`)
+ * - Use the runtime's cookie name, localStorage key, URL patterns and locales
+ * - Map each strategy's value onto a project locale (see localeMatching.js)
+ * - Fall back to Paraglide's defaults and the project settings (base locale,
+ *   locales) passed in the editor config before the runtime is registered
+ *
+ * The `globalVariable` strategy lives inside Paraglide's runtime, so it is
+ * approximated with `<html lang>`, which apps using it usually keep in sync.
+ * Custom strategies (`custom-*`) are skipped.
+ *
+ * This module does NOT:
+ * - Track or announce locale changes (see languageDetection.js)
+ * - Switch locales (see languageDetection.js)
+ */
+
+import { matchLocale } from './localeMatching.js';
+import { getServerTranslations } from './dataStore.js';
+
+/** Paraglide's defaults, used until the compiled runtime is registered */
+const DEFAULT_STRATEGY = ['cookie', 'globalVariable', 'baseLocale'];
+const DEFAULT_COOKIE_NAME = 'PARAGLIDE_LOCALE';
+const DEFAULT_LOCAL_STORAGE_KEY = 'PARAGLIDE_LOCALE';
+
+/**
+ * Gather the strategy settings from the runtime, or from the editor config.
+ *
+ * @param {Object|null} runtime - Paraglide's compiled runtime module
+ * @returns {{ strategy: string[], cookieName: string, localStorageKey: string, baseLocale: string|null, locales: string[] }}
+ */
+export function getStrategySettings(runtime) {
+  const config = window.__paraglideEditor?.config || {};
+  return {
+    strategy: runtime?.strategy ?? DEFAULT_STRATEGY,
+    cookieName: runtime?.cookieName ?? DEFAULT_COOKIE_NAME,
+    localStorageKey: runtime?.localStorageKey ?? DEFAULT_LOCAL_STORAGE_KEY,
+    baseLocale: runtime?.baseLocale ?? config.baseLocale ?? null,
+    locales: runtime?.locales ?? (config.locales?.length ? config.locales : Object.keys(getServerTranslations() || {})),
+  };
+}
+
+function readCookie(name) {
+  const escaped = name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const match = document.cookie.match(new RegExp(`(?:^|;\\s*)${escaped}=([^;]+)`));
+  return match ? decodeURIComponent(match[1]) : undefined;
+}
+
+/**
+ * Match a tag against the project locales; with no known locales, any tag is taken as is.
+ *
+ * @param {string|undefined} tag - Language tag (e.g. `de-CH`)
+ * @param {string[]} locales - Project locales
+ * @returns {string|undefined}
+ */
+function toProjectLocale(tag, locales) {
+  if (locales.length === 0) return tag || undefined;
+  return matchLocale(tag, locales);
+}
+
+function localeFromUrl(runtime, locales) {
+  if (typeof runtime?.extractLocaleFromUrl === 'function') {
+    try {
+      return runtime.extractLocaleFromUrl(window.location.href);
+    } catch {
+      return undefined;
+    }
+  }
+
+  // Paraglide's default URL pattern prefixes the path with the locale: /de/about
+  const segment = window.location.pathname.split('/')[1];
+  return toProjectLocale(segment, locales);
+}
+
+const resolvers = {
+  cookie: (settings) => toProjectLocale(readCookie(settings.cookieName), settings.locales),
+  url: (settings, runtime) => localeFromUrl(runtime, settings.locales),
+  globalVariable: (settings) => toProjectLocale(document.documentElement.lang, settings.locales),
+  preferredLanguage: (settings) => {
+    for (const language of navigator.languages || []) {
+      const locale = toProjectLocale(language, settings.locales);
+      if (locale) return locale;
+    }
+    return undefined;
+  },
+  localStorage: (settings) => toProjectLocale(localStorage.getItem(settings.localStorageKey) ?? undefined, settings.locales),
+  baseLocale: (settings) => settings.baseLocale ?? undefined,
+};
+
+/**
+ * Resolve the locale by walking Paraglide's strategy order.
+ *
+ * @param {Object|null} runtime - Paraglide's compiled runtime module, if registered
+ * @returns {string|null} The first locale a strategy yields, or null
+ */
+export function detectLocaleFromStrategies(runtime) {
+  const settings = getStrategySettings(runtime);
+
+  for (const strategy of settings.strategy) {
+    const resolve = resolvers[strategy];
+    if (!resolve) continue;
+
+    const locale = resolve(settings, runtime);
+    if (locale) return locale;
+  }
+
+  return null;
+}
@@ -0,0 +1,180 @@
+/**
+ * Message File Normalization
+ *
+ * Purpose: Convert between message file structure and the flat key names
+ * Paraglide compiles to.
+ *
+ * Responsibilities:
+ * - Flatten nested message objects into dot-joined keys (`nav.home`)
+ * - Rebuild nested objects from flat keys for export and write-back
+ * - Keep variant arrays intact (they are values, not namespaces)
+ * - Tell variant messages apart from other values (isVariantMessage)
+ * - Detect and reproduce a message file's JSON formatting
+ *
+ * Shared by the dev server (middleware.js) and the browser runtime,
+ * so it must stay free of DOM and Node APIs.
+ *
+ * This module does NOT:
+ * - Read or write files (see middleware.js)
+ * - Interpret message templates or variants (see renderer.js, variants.js)
+ */
+
+/**
+ * Check whether a value is a namespace object rather than a message.
+ * Messages are strings or variant arrays; anything else that is a plain
+ * object groups more messages under a common prefix.
+ *
+ * @param {any} value
+ * @returns {boolean}
+ */
+function isNamespace(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Check whether a value is a variant message: an array whose first entry
+ * holds the `match` texts.
+ *
+ * @param {any} value
+ * @returns {boolean}
+ */
+export function isVariantMessage(value) {
+  return Array.isArray(value) && value[0]?.match !== undefined;
+}
+
+/**
+ * Check whether a message file uses nested namespaces.
+ *
+ * @param {Object} messages - Parsed message file
+ * @returns {boolean}
+ */
+export function isNestedMessages(messages) {
+  return Object.entries(messages).some(([key, value]) => key !== '$schema' && isNamespace(value));
+}
+
+/**
+ * Flatten a parsed message file into the key names Paraglide generates.
+ *
+ * `{ "nav": { "home": "Home" } }` becomes `{ "nav.home": "Home" }`.
+ * Flat files pass through unchanged, and the `$schema` entry is dropped.
+ *
+ * @param {Object} messages - Parsed message file
+ * @returns {{ [key: string]: string|Array }} Messages keyed by flat key
+ */
+export function flattenMessages(messages) {
+  const flat = {};
+
+  const visit = (node, prefix) => {
+    for (const [name, value] of Object.entries(node)) {
+      if (!prefix && name === '$schema') continue;
+
+      const key = prefix ? `${prefix}.${name}` : name;
+      if (isNamespace(value)) {
+        visit(value, key);
+      } else {
+        flat[key] = value;
+      }
+    }
+  };
+
+  visit(messages || {}, '');
+  return flat;
+}
+
+/**
+ * Flatten every locale of a translations object.
+ *
+ * @param {{ [locale: string]: Object }} translations - Messages keyed by locale
+ * @returns {{ [locale: string]: Object }}
+ */
+export function flattenTranslations(translations) {
+  const flat = {};
+  for (const [locale, messages] of Object.entries(translations || {})) {
+    flat[locale] = flattenMessages(messages);
+  }
+  return flat;
+}
+
+/**
+ * Set a flat key on a (possibly nested) message object.
+ *
+ * A key that already exists verbatim is replaced in place. Otherwise, when
+ * `nested` is set, the dot-separated segments are walked, creating missing
+ * namespaces; existing ones keep their position. Only own properties are
+ * walked, so a `__proto__` segment never reaches `Object.prototype`.
+ *
+ * @param {Object} target - Message object to modify
+ * @param {string} key - Flat key (`nav.home`)
+ * @param {string|Array} value - Message value
+ * @param {boolean} nested - Whether the target uses nested namespaces
+ */
+export function setMessage(target, key, value, nested) {
+  const hasOwn = (object, name) => Object.prototype.hasOwnProperty.call(object, name);
+
+  if (!nested || hasOwn(target, key) || !key.includes('.')) {
+    target[key] = value;
+    return;
+  }
+
+  const segments = key.split('.');
+  const name = segments.pop();
+  let node = target;
+  for (const segment of segments) {
+    if (!hasOwn(node, segment)) {
+      // Defined rather than assigned, so `__proto__` becomes a plain own key
+      Object.defineProperty(node, segment, { value: {}, enumerable: true, writable: true, configurable: true });
+    } else if (!isNamespace(node[segment])) {
+      // A message already owns this segment, so the key can only stay flat
+      target[key] = value;
+      return;
+    }
+    node = node[segment];
+  }
+  node[name] = value;
+}
+
+/**
+ * Rebuild the nested form of flat messages.
+ *
+ * @param {{ [key: string]: string|Array }} flat - Messages keyed by flat key
+ * @returns {Object} Nested message object
+ */
+export function unflattenMessages(flat) {
+  const nested = {};
+  for (const [key, value] of Object.entries(flat)) {
+    setMessage(nested, key, value, true);
+  }
+  return nested;
+}
+
+/**
+ * Detect the indentation and line endings of a JSON file so it can be
+ * rewritten without reformatting the whole file.
+ *
+ * @param {string} text - Raw file content
+ * @returns {{ indent: string, newline: string, trailingNewline: boolean }}
+ */
+export function detectJsonFormat(text) {
+  const indentMatch = text.match(/^([ \t]+)"/m);
+  return {
+    indent: indentMatch ? indentMatch[1] : '  ',
+    newline: text.includes('\r\n') ? '\r\n' : '\n',
+    trailingNewline: /\n$/.test(text),
+  };
+}
+
+/**
+ * Serialize a message file in a detected format. Without one, new files get
+ * two-space indentation and a trailing newline.
+ *
+ * @param {Object} content - Message file content
+ * @param {{ indent: string, newline: string, trailingNewline: boolean }} [format] - Result of detectJsonFormat()
+ * @returns {string}
+ */
+export function serializeMessageFile(content, format = { indent: '  ', newline: '\n', trailingNewline: true }) {
+  const { indent, newline, trailingNewline } = format;
+  let json = JSON.stringify(content, null, indent);
+  if (newline !== '\n') json = json.replace(/\n/g, newline);
+  if (trailingNewline) json += newline;
+  return json;
+}
@@ -9,6 +9,7 @@
  * - Apply saved edits from database to DOM elements
  * - Subscribe to element pick events and manage popup lifecycle
  * - Manage visual indicators (outlines) for translatable elements
+ * - Find, and scroll to, the elements showing a key
  *
  * This module does NOT:
  * - Render translation strings (see renderer.js)
@@ -16,32 +17,33 @@
  * - Handle UI components (see ui/)
  */
 
-import { getTranslationVersions } from "./dataStore.js";
+import { getTranslationVersions, isServerTranslationChanged } from "./dataStore.js";
 import { getAllEditedTranslations } from "./db.js";
-import { renderTranslation, renderEditedTemplate } from "./renderer.js";
-import { getCurrentLocale } from "./languageDetection.js";
+import { renderTranslation, renderEditedTemplate, renderDisplayTranslation } from "./renderer.js";
+import { resolveDisplayTranslation } from "./localeFallback.js";
+import { getCurrentLocale, getBaseLocale } from "./languageDetection.js";
 import { createEditPopup } from "./ui/popup.js";
-import { setElementOutline } from "./styles.js";
+import { setElementOutline, worstOutlineState, setOverlayFilter } from "./styles.js";
+import { hasDraft } from "./drafts.js";
 import { detectActiveVariant, parseVariantStructure } from "./variants.js";
 import { getElementSlots } from "./registry.js";
 import { initElementPicker } from "./elementPicker.js";
 
-/** Outline state priority: higher index wins */
-const OUTLINE_PRIORITY = ['none', 'hoverable', 'edited', 'conflict'];
-
-function worstOutlineState(a, b) {
-  return OUTLINE_PRIORITY.indexOf(a) >= OUTLINE_PRIORITY.indexOf(b) ? a : b;
-}
-
 /**
  * Compute the outline state for a single slot (key + params) in a given locale.
  * Does NOT touch the DOM — pure computation.
  */
-function computeSlotOutlineState(key, params, currentLocale) {
+export function computeSlotOutlineState(key, params, currentLocale) {
   const versions = getTranslationVersions(currentLocale, key);
 
+  if (versions.isEdited && versions.hasConflict) return 'conflict';
+  if (hasDraft(currentLocale, key)) return 'draft';
+
+  if (!versions.isEdited && !versions.server) {
+    return resolveDisplayTranslation(currentLocale, key).isFallback ? 'fallback' : 'missing';
+  }
+
   if (versions.isEdited) {
-    if (versions.hasConflict) return 'conflict';
 
     if (params && Object.keys(params).length > 0) {
       const editedVariant = parseVariantStructure(versions.edited);
@@ -57,18 +59,37 @@ function computeSlotOutlineState(key, params, currentLocale) {
     }
     return 'edited';
   }
+
+  // Same text as the base locale: most likely copied over and not translated yet
+  const baseLocale = getBaseLocale();
+  if (baseLocale && currentLocale !== baseLocale) {
+    const baseValue = getTranslationVersions(baseLocale, key).current;
+    if (baseValue && JSON.stringify(baseValue) === JSON.stringify(versions.current)) {
+      return 'untranslated';
+    }
+  }
   return 'hoverable';
 }
 
 /**
  * Render a single slot's content to the DOM.
  * Returns true if the DOM was actually updated.
+ *
+ * Message functions already return edited text (see editedMessages.js), so in
+ * apps that re-render on `onEditsChanged` this finds the DOM up to date and
+ * writes nothing. It still patches apps that never re-render, which would
+ * otherwise keep showing the old text until a reload.
  */
 function renderSlotToDOM(element, slotName, key, params, currentLocale) {
   const versions = getTranslationVersions(currentLocale, key);
 
   let rendered;
-  if (versions.isEdited) {
+  if (!versions.isEdited && !versions.server) {
+    // Missing in this locale: show the text of its fallback chain
+    const fallback = renderDisplayTranslation(key, params, currentLocale);
+    if (!fallback) return false;
+    rendered = fallback.text;
+  } else if (versions.isEdited) {
     if (Object.keys(params).length > 0) {
       rendered = renderEditedTemplate(versions.current, params, currentLocale);
     } else if (
@@ -79,6 +100,8 @@ function renderSlotToDOM(element, slotName, key, params, currentLocale) {
     } else {
       rendered = versions.current;
     }
+  } else if (isServerTranslationChanged(currentLocale, key)) {
+    rendered = renderEditedTemplate(versions.server, params, currentLocale);
   } else {
     rendered = renderTranslation(key, params, currentLocale);
   }
@@ -119,6 +142,7 @@ export function refreshElement(element, locale = null) {
   let anyUpdated = false;
   let anyEdited = false;
   let worstState = 'hoverable';
+  const slotStates = [];
 
   for (const slotName of slotNames) {
     const { key, params } = slots[slotName];
@@ -132,6 +156,7 @@ export function refreshElement(element, locale = null) {
 
     // Compute outline state for this slot
     const slotState = computeSlotOutlineState(key, params, currentLocale);
+    slotStates.push(slotState);
     worstState = worstOutlineState(worstState, slotState);
   }
 
@@ -149,12 +174,26 @@ export function refreshElement(element, locale = null) {
   } else if (element === window.__paraglideEditor.popupElement) {
     setElementOutline(element, "selected");
   } else {
-    setElementOutline(element, worstState);
+    setElementOutline(element, worstState, slotStates);
   }
 
   return anyUpdated;
 }
 
+/**
+ * Find the page elements that show a translation key, in any slot.
+ *
+ * @param {string} key - Translation key
+ * @returns {HTMLElement[]}
+ */
+export function findElementsByKey(key) {
+  return [...document.querySelectorAll("[data-paraglide-key]")].filter((element) => {
+    if (element.closest(".pge-ignore-detection")) return false;
+    const slots = getElementSlots(element);
+    return slots && Object.values(slots).some(s => s.key === key);
+  });
+}
+
 /**
  * Refresh all elements with a specific translation key
  * Used after saving edits to update all instances of a translation on the page
@@ -165,18 +204,9 @@ export function refreshElement(element, locale = null) {
  */
 export function refreshElementsByKey(key, locale = null) {
   const currentLocale = locale || getCurrentLocale();
-  // Also match elements that have this key in their slots JSON
-  const allElements = document.querySelectorAll("[data-paraglide-key]");
 
   let updatedCount = 0;
-  allElements.forEach((element) => {
-    const slots = getElementSlots(element);
-    if (!slots) return;
-
-    // Check if any slot uses this key
-    const usesKey = Object.values(slots).some(s => s.key === key);
-    if (!usesKey) return;
-
+  findElementsByKey(key).forEach((element) => {
     if (refreshElement(element, currentLocale)) {
       updatedCount++;
     }
@@ -188,6 +218,30 @@ export function refreshElementsByKey(key, locale = null) {
   return updatedCount;
 }
 
+/**
+ * Scroll to the first element showing a key and flash every element showing it.
+ *
+ * @param {string} key - Translation key
+ * @returns {number} - Number of elements found
+ */
+export function locateElementsByKey(key) {
+  const elements = findElementsByKey(key);
+  if (elements.length === 0) return 0;
+
+  elements[0].scrollIntoView({ behavior: "smooth", block: "center" });
+  for (const element of elements) {
+    element.animate?.(
+      [
+        { outline: "3px solid #2563eb", outlineOffset: "2px" },
+        { outline: "3px solid transparent", outlineOffset: "2px" },
+      ],
+      { duration: 600, iterations: 3 }
+    );
+  }
+
+  return elements.length;
+}
+
 /**
  * Apply saved edits from database to the DOM
  * Uses the unified dataStore and renderer for consistency
@@ -435,6 +489,12 @@ export function initOverlayMode() {
 
   window.__paraglideEditor.isOverlayEnabled = () => overlayEnabled;
 
+  window.__paraglideEditor.setOverlayFilter = (filter) => {
+    setOverlayFilter(filter);
+    console.debug(`[paraglide-editor] Overlay filter: ${filter}`);
+    applyOutlinesToAllElements();
+  };
+
   // Expose applySavedEdits for manual refresh (e.g., after locale change)
   window.__paraglideEditor.applySavedEdits = applySavedEdits;
 
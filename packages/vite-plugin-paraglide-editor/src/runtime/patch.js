@@ -0,0 +1,239 @@
+/**
+ * Change Export (JSON Patch and Delta)
+ *
+ * Purpose: Export only what the local edits change, for review in a pull
+ * request and for scripts that apply it to the message files.
+ *
+ * Responsibilities:
+ * - Compare the included edits with the server translations, per locale
+ * - Remember what the last change export wrote (localStorage `pge-last-changes`)
+ *   so that edits reverted since then are undone
+ * - Write the changes as RFC 6902 JSON Patch documents, one per message file
+ * - Write the changes as a compact `{ locale: { key: value } }` delta
+ *
+ * This module does NOT:
+ * - Write complete message files (see export.js)
+ * - Modify stored edits (see db.js)
+ */
+
+import { getEditedTranslations } from './db.js';
+import { getServerTranslations } from './dataStore.js';
+import { downloadFile, fetchMessageFileLayout, groupEditsByLocale, resolveMessageFiles } from './export.js';
+import { filterIncludedEdits } from './exportSelection.js';
+
+const STORAGE_KEY = 'pge-last-changes';
+
+const FORMATS = {
+  patch: { file: 'paraglide-changes.patch.json', build: buildJsonPatch },
+  delta: { file: 'paraglide-changes.delta.json', build: buildDelta },
+};
+
+function sameValue(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Stored record of the previous exports: `exported` is what the last export
+ * wrote, `base` what the one before it had written.
+ */
+function readLastChanges() {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) || { base: {}, exported: {} };
+  } catch {
+    return { base: {}, exported: {} };
+  }
+}
+
+/**
+ * Values the included edits give their keys, dropping those the server
+ * already has.
+ */
+function editedValues(edits, serverTranslations) {
+  const values = {};
+  for (const [locale, messages] of Object.entries(groupEditsByLocale(edits))) {
+    for (const [key, value] of Object.entries(messages)) {
+      if (!sameValue(value, serverTranslations[locale]?.[key])) {
+        (values[locale] ??= {})[key] = value;
+      }
+    }
+  }
+  return values;
+}
+
+/**
+ * Compute the changes to export. Every included edit that differs from the
+ * server is a change. A key that an earlier export changed, whose edit has
+ * been reverted since (it is no longer among the edited records), and whose
+ * change has not reached the server goes back to the server value, or is
+ * removed when the server does not have it (value `null`). Keys whose edit
+ * is only left out of the export are not touched.
+ *
+ * Reverts are relative to the files with the previous export applied.
+ * Exporting again without touching the edits (for example in the other
+ * format) gives the same changes.
+ *
+ * @param {Array} edits - Included records from getEditedTranslations()
+ * @param {{ [locale: string]: Object }} serverTranslations - Flat server messages keyed by locale
+ * @param {{ base: Object, exported: Object }} lastChanges - Stored record of the previous exports
+ * @param {Array} [excludedEdits] - Edited records left out of the export
+ * @returns {{ changes: { [locale: string]: { [key: string]: any } }, exported: Object, previous: Object }}
+ *   Changes to export (`null` removes a key), the edited values they write,
+ *   and the exported values the reverts were computed against
+ */
+export function computeChanges(edits, serverTranslations, lastChanges, excludedEdits = []) {
+  const exported = editedValues(edits, serverTranslations);
+  const previous = sameValue(exported, lastChanges.exported) ? lastChanges.base : lastChanges.exported;
+  const excluded = new Set(excludedEdits.map(edit => `${edit.locale}:${edit.key}`));
+
+  const changes = structuredClone(exported);
+  for (const [locale, messages] of Object.entries(previous)) {
+    for (const [key, value] of Object.entries(messages)) {
+      const serverValue = serverTranslations[locale]?.[key];
+      if (sameValue(value, serverValue)) continue;
+      if (exported[locale]?.[key] !== undefined || excluded.has(`${locale}:${key}`)) continue;
+      (changes[locale] ??= {})[key] = serverValue ?? null;
+    }
+  }
+
+  return { changes, exported, previous };
+}
+
+/**
+ * Build the compact delta: changed keys per locale, sorted, with `null` for
+ * removed keys.
+ *
+ * @param {{ [locale: string]: Object }} changes - Result of computeChanges()
+ * @returns {{ [locale: string]: { [key: string]: any } }}
+ */
+export function buildDelta(changes) {
+  const delta = {};
+  for (const locale of Object.keys(changes).sort()) {
+    delta[locale] = {};
+    for (const key of Object.keys(changes[locale]).sort()) {
+      delta[locale][key] = changes[locale][key];
+    }
+  }
+  return delta;
+}
+
+function escapePointerSegment(segment) {
+  return segment.replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+/**
+ * Path segments of a flat key inside a message file. In nested files a
+ * dotted key is walked through its namespaces, unless one of its prefixes
+ * is a message, as setMessage() does.
+ */
+function keySegments(key, file) {
+  if (!file.nested || !key.includes('.')) return [key];
+
+  const segments = key.split('.');
+  for (let i = 1; i < segments.length; i++) {
+    if (file.keys.includes(segments.slice(0, i).join('.'))) return [key];
+  }
+  return segments;
+}
+
+/**
+ * Build one RFC 6902 JSON Patch document per message file. Removed keys come
+ * first, each as a `test` of the value the previous export wrote followed by
+ * a `remove`, so the patch fails as a whole on files that do not hold that
+ * export instead of deleting something else. New keys then use `add`
+ * (creating missing namespaces first) and changed keys `replace`.
+ *
+ * @param {{ [locale: string]: Object }} changes - Result of computeChanges()
+ * @param {{ [locale: string]: Object }} serverTranslations - Flat server messages keyed by locale
+ * @param {{ files: Array, pathPatterns?: string[] }} layout - Result of fetchMessageFileLayout()
+ * @param {{ [locale: string]: Object }} [previous] - Exported values the removals undo (from computeChanges())
+ * @returns {{ [path: string]: Array<{ op: string, path: string, value?: any }> }} Operations keyed by file path
+ */
+export function buildJsonPatch(changes, serverTranslations, layout, previous = {}) {
+  const patch = {};
+
+  for (const locale of Object.keys(changes).sort()) {
+    const { fileFor } = resolveMessageFiles(locale, layout);
+    const namespaces = new Map();
+
+    const keys = Object.keys(changes[locale]).sort();
+    const removedFirst = [...keys.filter(key => changes[locale][key] === null), ...keys.filter(key => changes[locale][key] !== null)];
+
+    for (const key of removedFirst) {
+      const value = changes[locale][key];
+      const file = fileFor(key);
+      const operations = (patch[file.path] ??= []);
+      const segments = keySegments(key, file);
+
+      if (!namespaces.has(file)) {
+        namespaces.set(file, new Set(file.keys.flatMap(existing =>
+          existing.split('.').slice(0, -1).map((_, i, parts) => parts.slice(0, i + 1).join('.'))
+        )));
+      }
+      const existingNamespaces = namespaces.get(file);
+
+      const pointer = segments.map(escapePointerSegment);
+      if (value === null) {
+        const path = `/${pointer.join('/')}`;
+        operations.push({ op: 'test', path, value: previous[locale]?.[key] });
+        operations.push({ op: 'remove', path });
+        continue;
+      }
+
+      for (let i = 1; i < segments.length; i++) {
+        const namespace = segments.slice(0, i).join('.');
+        if (existingNamespaces.has(namespace)) continue;
+        operations.push({ op: 'add', path: `/${pointer.slice(0, i).join('/')}`, value: {} });
+        existingNamespaces.add(namespace);
+      }
+
+      const op = serverTranslations[locale]?.[key] === undefined ? 'add' : 'replace';
+      operations.push({ op, path: `/${pointer.join('/')}`, value });
+    }
+  }
+
+  return patch;
+}
+
+/**
+ * Download the changes of the included edits, as JSON Patch documents keyed
+ * by message file path (`patch`) or as a delta keyed by locale (`delta`).
+ *
+ * @param {Object} [options]
+ * @param {'patch'|'delta'} [options.format]
+ * @returns {Promise<{ file: string|null, changes: number, reverted: number }>}
+ *   Downloaded file name (none when nothing changed), number of changed keys,
+ *   and how many of them revert an earlier export
+ */
+export async function exportChanges({ format = 'patch' } = {}) {
+  try {
+    const serverTranslations = getServerTranslations();
+    if (!serverTranslations) {
+      throw new Error('Server translations not loaded yet');
+    }
+
+    const allEdits = await getEditedTranslations();
+    const edits = filterIncludedEdits(allEdits);
+    const excludedEdits = allEdits.filter(edit => !edits.includes(edit));
+    const { changes, exported, previous } = computeChanges(edits, serverTranslations, readLastChanges(), excludedEdits);
+
+    const count = Object.values(changes).reduce((total, messages) => total + Object.keys(messages).length, 0);
+    const reverted = count - Object.values(exported).reduce((total, messages) => total + Object.keys(messages).length, 0);
+    if (count === 0) {
+      console.debug('[paraglide-editor] No changes to export');
+      return { file: null, changes: 0, reverted: 0 };
+    }
+
+    const { file, build } = FORMATS[format] || FORMATS.patch;
+    const layout = build === buildJsonPatch ? await fetchMessageFileLayout() : null;
+    const content = build(changes, serverTranslations, layout, previous);
+    downloadFile(file, JSON.stringify(content, null, 2) + '\n', 'application/json');
+
+    localStorage.setItem(STORAGE_KEY, JSON.stringify({ base: previous, exported }));
+
+    console.debug(`[paraglide-editor] Exported ${count} changes (${reverted} reverted) to ${file}`);
+    return { file, changes: count, reverted };
+  } catch (error) {
+    console.error('[paraglide-editor] Change export failed:', error);
+    throw error;
+  }
+}
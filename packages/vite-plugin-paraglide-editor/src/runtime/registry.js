@@ -5,6 +5,8 @@
  *
  * Responsibilities:
  * - Build registry of translation elements by matching text nodes to translation keys
+ * - Decode and strip zero-width key markers (encodeKeys mode) for exact matches
+ * - Seed the registry from the server-rendered manifest (SSR)
  * - Add data attributes to elements for tracking (data-paraglide-key, data-paraglide-params)
  * - Support multi-slot elements (text + attributes) via data-paraglide-slots
  * - Provide API to query registry and get current elements
@@ -16,6 +18,85 @@
  * - Handle translations or variants (see renderer.js and variants.js)
  */
 
+import { hasMarkers, decodeMarkers } from './keyMarkers.js';
+
+// Metadata decoded from markers, kept after the markers are stripped so later
+// scans still resolve the exact key. Entries are dropped once the text changes.
+const decodedTextNodes = new WeakMap();  // Text → { text, metadata }
+const decodedAttributes = new WeakMap(); // Element → { [attr]: { text, metadata } }
+
+/**
+ * Look up the call recorded for the first marker in a string.
+ * Only a string produced by exactly one message call resolves, so text
+ * concatenated from several messages is never attributed to one of them.
+ *
+ * @param {string} value - Text node content or attribute value
+ * @returns {{ text: string, metadata: Object|null }} Stripped text and call metadata
+ */
+function decodeCall(value) {
+  const { text, ids } = decodeMarkers(value);
+  const call = ids.length === 1 ? window.__paraglideEditor.calls?.get(ids[0]) : null;
+  const metadata = call && call.text.trim() === text.trim()
+    ? { key: call.key, params: call.params }
+    : null;
+  return { text, metadata };
+}
+
+/**
+ * Resolve a text node to its message metadata, stripping markers on the way.
+ *
+ * @param {Text} textNode
+ * @returns {Object|null} Registry metadata ({ key, params })
+ */
+function resolveTextNode(textNode) {
+  if (hasMarkers(textNode.textContent)) {
+    const { text, metadata } = decodeCall(textNode.textContent);
+    textNode.textContent = text;
+    if (metadata) {
+      decodedTextNodes.set(textNode, { text, metadata });
+      return metadata;
+    }
+  }
+
+  const decoded = decodedTextNodes.get(textNode);
+  if (decoded) {
+    if (decoded.text === textNode.textContent) return decoded.metadata;
+    decodedTextNodes.delete(textNode);
+  }
+
+  return window.__paraglideEditor.registry.get(textNode.textContent.trim()) || null;
+}
+
+/**
+ * Resolve an attribute value to its message metadata, stripping markers on the way.
+ *
+ * @param {HTMLElement} element
+ * @param {string} attr - Attribute name
+ * @returns {Object|null} Registry metadata ({ key, params })
+ */
+function resolveAttribute(element, attr) {
+  const value = element.getAttribute(attr);
+
+  if (hasMarkers(value)) {
+    const { text, metadata } = decodeCall(value);
+    element.setAttribute(attr, text);
+    if (metadata) {
+      const decoded = decodedAttributes.get(element) || {};
+      decoded[attr] = { text, metadata };
+      decodedAttributes.set(element, decoded);
+      return metadata;
+    }
+  }
+
+  const decoded = decodedAttributes.get(element)?.[attr];
+  if (decoded) {
+    if (decoded.text === element.getAttribute(attr)) return decoded.metadata;
+    delete decodedAttributes.get(element)[attr];
+  }
+
+  return window.__paraglideEditor.registry.get(element.getAttribute(attr).trim()) || null;
+}
+
 /**
  * Read all translation slots from an element.
  * Returns a map of slotName → { key, params }.
@@ -43,6 +124,38 @@ export function getElementSlots(element) {
   return { [slotName]: { key, params } };
 }
 
+/**
+ * Seed the text registry with the messages the server rendered for this page.
+ * The manifest is injected by the SSR handle (see ssrRecorder.js); calls made
+ * in the browser take precedence over it.
+ *
+ * @returns {number} Number of entries added
+ */
+export function loadSsrManifest() {
+  const script = document.getElementById('pge-ssr-manifest');
+  if (!script) return 0;
+
+  let entries;
+  try {
+    entries = JSON.parse(script.textContent);
+  } catch (e) {
+    console.warn('[paraglide-editor] Failed to parse SSR manifest:', e);
+    return 0;
+  }
+
+  window.__paraglideEditor.registry = window.__paraglideEditor.registry || new Map();
+  let added = 0;
+  for (const { text, key, params } of entries) {
+    if (!window.__paraglideEditor.registry.has(text)) {
+      window.__paraglideEditor.registry.set(text, { key, params: params || {}, timestamp: Date.now() });
+      added++;
+    }
+  }
+
+  console.debug(`[paraglide-editor] Seeded registry with ${added} server-rendered messages`);
+  return added;
+}
+
 /**
  * Build element registry by matching text nodes to registry
  * Adds data attributes to elements for tracking
@@ -55,6 +168,11 @@ export async function buildElementRegistry() {
     return;
   }
 
+  // The document title is outside <body> but may carry markers too
+  if (hasMarkers(document.title)) {
+    document.title = decodeMarkers(document.title).text;
+  }
+
   const registry = [];
   // Accumulate slots per element across both passes
   const elementSlots = new Map();
@@ -76,10 +194,10 @@ export async function buildElementRegistry() {
 
   let textNode;
   while ((textNode = walker.nextNode())) {
-    const text = textNode.textContent.trim();
-    if (!text) continue;
+    if (!textNode.textContent.trim()) continue;
 
-    const metadata = window.__paraglideEditor.registry.get(text);
+    const metadata = resolveTextNode(textNode);
+    const text = textNode.textContent.trim();
     if (metadata) {
       const element = textNode.parentElement;
 
@@ -119,11 +237,10 @@ export async function buildElementRegistry() {
     if (element.closest('.pge-ignore-detection')) return;
 
     for (const attr of TRANSLATABLE_ATTRS) {
-      const value = element.getAttribute(attr);
-      if (!value) continue;
+      if (!element.getAttribute(attr)) continue;
 
-      const trimmed = value.trim();
-      const metadata = window.__paraglideEditor.registry.get(trimmed);
+      const metadata = resolveAttribute(element, attr);
+      const trimmed = element.getAttribute(attr).trim();
       if (metadata) {
         if (!elementSlots.has(element)) {
           elementSlots.set(element, {});
@@ -12,6 +12,7 @@
  * Rendering Paths:
  * 1. Server translations: Uses original Paraglide message functions
  * 2. Edited translations: Simple parameter substitution with variant support
+ * 3. Missing translations: Rendered from the locale's fallback chain (see localeFallback.js)
  *
  * Used by:
  * - overlay.js (applying edits and refreshing elements)
@@ -25,6 +26,8 @@
  */
 
 import { renderVariant } from './variants.js';
+import { isServerTranslationChanged } from './dataStore.js';
+import { resolveDisplayTranslation } from './localeFallback.js';
 
 /**
  * Render a translation using the original Paraglide message function
@@ -94,6 +97,10 @@ export function renderEditedTemplate(template, params = {}, locale = 'en') {
     }
   }
 
+  if (Array.isArray(template) && template[0]?.match) {
+    return renderVariant(template[0], params, locale);
+  }
+
   if (typeof template === 'object' && template.match) {
     return renderVariant(template, params, locale);
   }
@@ -106,3 +113,34 @@ export function renderEditedTemplate(template, params = {}, locale = 'en') {
     return params[key] !== undefined ? params[key] : match;
   });
 }
+
+/**
+ * Render the text to display for a key in a locale, picking the right path:
+ * local edit or changed server value → template, otherwise the original
+ * Paraglide function. Keys missing in the locale are rendered from its
+ * fallback chain.
+ *
+ * @param {string} key - Translation key
+ * @param {object} params - Parameters to substitute
+ * @param {string} locale - Locale being rendered
+ * @returns {{ text: string, locale: string, isFallback: boolean, isEdited: boolean, hasConflict: boolean }|null}
+ *   The rendered text and the locale it came from, or null when no locale in the chain has the key
+ */
+export function renderDisplayTranslation(key, params = {}, locale) {
+  const translation = resolveDisplayTranslation(locale, key);
+  if (!translation.value) {
+    return null;
+  }
+
+  const text = translation.isEdited || isServerTranslationChanged(translation.locale, key)
+    ? renderEditedTemplate(translation.value, params, translation.locale)
+    : renderTranslation(key, params, translation.locale);
+
+  return {
+    text,
+    locale: translation.locale,
+    isFallback: translation.isFallback,
+    isEdited: translation.isEdited,
+    hasConflict: translation.hasConflict,
+  };
+}
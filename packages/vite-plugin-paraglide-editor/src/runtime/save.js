@@ -0,0 +1,75 @@
+/**
+ * Save to Project
+ *
+ * Purpose: Write local edits straight back to the project's message files.
+ *
+ * Responsibilities:
+ * - Send edited translations to the dev server's save endpoint
+ * - Mark saved records as synced in IndexedDB
+ * - Refresh the data store so the saved values become the new server baseline
+ *
+ * This module does NOT:
+ * - Write files itself (see middleware.js on the dev server)
+ * - Download files (see export.js)
+ * - Provide UI (see ui/modal.js)
+ */
+
+import { getEditedTranslations, markTranslationsSynced } from './db.js';
+import { refreshDataStore } from './dataStore.js';
+import { groupEditsByLocale } from './export.js';
+
+/**
+ * Get the save endpoint URL from config.
+ * Null when the page is not served by the Vite dev server (e.g. builds).
+ */
+export function getSaveUrl() {
+  return window.__paraglideEditor?.config?.saveUrl || null;
+}
+
+/**
+ * Write all local edits to the project's message files.
+ *
+ * @returns {Promise<{ locales: number, keys: number }>} Number of saved locales and keys
+ */
+export async function saveEditsToProject() {
+  const saveUrl = getSaveUrl();
+  if (!saveUrl) {
+    throw new Error('Saving to the project is only available on the Vite dev server');
+  }
+
+  const edits = await getEditedTranslations();
+  if (edits.length === 0) {
+    return { locales: 0, keys: 0 };
+  }
+
+  const editsByLocale = groupEditsByLocale(edits);
+
+  const response = await fetch(saveUrl, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ edits: editsByLocale }),
+  });
+
+  const result = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new Error(result.error || `Save failed: ${response.status} ${response.statusText}`);
+  }
+
+  const savedEdits = [];
+  for (const [locale, keys] of Object.entries(result.saved || {})) {
+    for (const key of keys) {
+      savedEdits.push({ locale, key, value: editsByLocale[locale][key] });
+    }
+  }
+
+  await markTranslationsSynced(savedEdits);
+  console.debug(`[paraglide-editor] ✓ Saved ${savedEdits.length} edits to project files`);
+
+  await refreshDataStore();
+
+  if (window.__paraglideEditor?.applySavedEdits) {
+    window.__paraglideEditor.applySavedEdits();
+  }
+
+  return { locales: Object.keys(result.saved || {}).length, keys: savedEdits.length };
+}
@@ -0,0 +1,239 @@
+/**
+ * CSV/TSV Export and Import
+ *
+ * Purpose: Let people review and edit copy in a spreadsheet.
+ *
+ * Responsibilities:
+ * - Write every key as a row with one column per locale (CSV or TSV)
+ * - Write variant messages as one row per match key
+ * - Parse delimited text, including quoted cells (also used for grid paste)
+ * - Read sheets back into flat messages, rebuilding variant arrays
+ *
+ * This module does NOT:
+ * - Merge edits into server translations (see export.js)
+ * - Compare or save imported messages (see import.js)
+ */
+
+import { getEditedTranslations } from './db.js';
+import { getServerVariant, getTranslationVersions } from './dataStore.js';
+import { buildMergedTranslations, downloadFile } from './export.js';
+import { filterIncludedEdits } from './exportSelection.js';
+import { findLocale } from './localeMatching.js';
+import { isVariantMessage } from './messageFormat.js';
+import { parseVariantStructure } from './variants.js';
+
+const KEY_COLUMN = 'key';
+const VARIANT_COLUMN = 'variant';
+
+const FORMATS = {
+  csv: { delimiter: ',', type: 'text/csv' },
+  tsv: { delimiter: '\t', type: 'text/tab-separated-values' },
+};
+
+// Spreadsheet apps run a cell starting with one of these as a formula, so
+// exported cells starting with them get a leading `'`, which imports strip.
+// Cells that already start with `'` and then one of them get one more.
+const FORMULA_PATTERN = /^'*[=+\-@]/;
+
+/**
+ * Parse delimited text into rows of cells. Cells containing the delimiter,
+ * newlines or quotes are quoted, with quotes doubled, as spreadsheets
+ * write them.
+ *
+ * @param {string} text - CSV or TSV text (or tab-separated clipboard text)
+ * @param {string} [delimiter] - Cell delimiter
+ * @returns {string[][]} Rows of cell values
+ */
+export function parseDelimitedText(text, delimiter = '\t') {
+  const rows = [[]];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"' && cell === '') {
+      quoted = true;
+    } else if (char === delimiter) {
+      rows[rows.length - 1].push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      rows[rows.length - 1].push(cell);
+      cell = '';
+      rows.push([]);
+    } else {
+      cell += char;
+    }
+  }
+  rows[rows.length - 1].push(cell);
+
+  // Spreadsheets end the last row with a newline
+  const last = rows[rows.length - 1];
+  if (rows.length > 1 && last.length === 1 && last[0] === '') rows.pop();
+
+  return rows;
+}
+
+function formatCell(value, delimiter) {
+  let text = String(value ?? '');
+  if (FORMULA_PATTERN.test(text)) text = `'${text}`;
+  return text.includes(delimiter) || /["\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Build the sheet rows: a header, then one row per plain message and one row
+ * per match key of variant messages. A key that is plain in one locale and a
+ * variant in another gets both kinds of rows.
+ *
+ * @param {{ [locale: string]: Object }} translations - Merged flat messages keyed by locale
+ * @returns {string[][]}
+ */
+export function buildSpreadsheetRows(translations) {
+  const locales = Object.keys(translations);
+  const keys = [...new Set(locales.flatMap(locale => Object.keys(translations[locale])))].sort();
+  const rows = [[KEY_COLUMN, VARIANT_COLUMN, ...locales]];
+
+  for (const key of keys) {
+    const values = locales.map(locale => translations[locale][key]);
+
+    if (values.some(value => typeof value === 'string')) {
+      rows.push([key, '', ...values.map(value => (typeof value === 'string' ? value : ''))]);
+    }
+
+    const matchKeys = new Set(values.filter(isVariantMessage).flatMap(value => Object.keys(value[0].match)));
+    for (const matchKey of matchKeys) {
+      rows.push([key, matchKey, ...values.map(value => (isVariantMessage(value) ? value[0].match[matchKey] ?? '' : ''))]);
+    }
+  }
+
+  return rows;
+}
+
+/**
+ * Download every key in every locale as a CSV or TSV sheet: the server
+ * translations merged with the edits included under Pending Changes.
+ *
+ * @param {Object} [options]
+ * @param {'csv'|'tsv'} [options.format]
+ * @returns {Promise<{ file: string, keys: number }>} Downloaded file name and number of keys
+ */
+export async function exportSpreadsheet({ format = 'csv' } = {}) {
+  try {
+    const { delimiter, type } = FORMATS[format] || FORMATS.csv;
+    const edits = filterIncludedEdits(await getEditedTranslations());
+    const rows = buildSpreadsheetRows(buildMergedTranslations(edits));
+
+    // The byte order mark makes Excel read the file as UTF-8
+    const text = '\uFEFF' + rows.map(row => row.map(cell => formatCell(cell, delimiter)).join(delimiter)).join('\r\n') + '\r\n';
+    const file = `translations.${FORMATS[format] ? format : 'csv'}`;
+    downloadFile(file, text, type);
+
+    const keys = new Set(rows.slice(1).map(row => row[0])).size;
+    console.debug(`[paraglide-editor] Exported ${keys} keys to ${file}`);
+    return { file, keys };
+  } catch (error) {
+    console.error('[paraglide-editor] Spreadsheet export failed:', error);
+    throw error;
+  }
+}
+
+/**
+ * Declarations and selectors for a rebuilt variant: those of the key's
+ * current value in the locale, else in any locale, else one input per
+ * selector named in the match keys.
+ */
+function variantShape(locale, key, matchKeys) {
+  const existing = getServerVariant(locale, key);
+  if (existing) {
+    return { declarations: existing[0].declarations || [], selectors: existing[0].selectors || [] };
+  }
+
+  const selectors = [...new Set(matchKeys.flatMap(matchKey =>
+    matchKey.split(',').map(part => part.split('=')[0].trim()).filter(Boolean)
+  ))];
+  return { declarations: selectors.map(selector => `input ${selector}`), selectors };
+}
+
+/**
+ * Parse a CSV or TSV sheet laid out like the export: a `key` column, an
+ * optional `variant` column, and one column per locale. Empty cells are
+ * skipped; rows with a variant build the key's variant array, on top of the
+ * locale's current variant when it has one.
+ *
+ * @param {string} text - File content
+ * @param {string} fileName - File name (`.tsv` is tab-separated)
+ * @param {string[]} locales - Project locales
+ * @param {Function} [report] - Called with a description of each skipped column
+ * @returns {{ [locale: string]: Object }} Flat messages keyed by locale
+ */
+export function parseSpreadsheetImport(text, fileName, locales, report = () => {}) {
+  text = text.replace(/^\uFEFF/, '');
+
+  let delimiter = fileName.toLowerCase().endsWith('.tsv') ? '\t' : ',';
+  // Spreadsheets set to a decimal comma save CSV with semicolons
+  const headerLine = text.split(/\r?\n/, 1)[0];
+  if (delimiter === ',' && !headerLine.includes(',') && headerLine.includes(';')) delimiter = ';';
+
+  const [header = [], ...rows] = parseDelimitedText(text, delimiter);
+  const columns = header.map(name => name.trim());
+  const keyIndex = columns.findIndex(name => name.toLowerCase() === KEY_COLUMN);
+  const variantIndex = columns.findIndex(name => name.toLowerCase() === VARIANT_COLUMN);
+  if (keyIndex === -1) {
+    throw new Error(`Missing a "${KEY_COLUMN}" column`);
+  }
+
+  const localeColumns = [];
+  columns.forEach((name, index) => {
+    if (index === keyIndex || index === variantIndex || name === '') return;
+    const locale = findLocale(name, locales);
+    if (locale) localeColumns.push({ index, locale });
+    else report(`column "${name}" is not a project locale, ignored`);
+  });
+
+  const messages = {};
+  const variants = {};
+  for (const row of rows) {
+    const key = row[keyIndex]?.trim();
+    if (!key) continue;
+    const matchKey = variantIndex === -1 ? '' : row[variantIndex]?.trim() || '';
+
+    for (const { index, locale } of localeColumns) {
+      let value = row[index] ?? '';
+      if (value === '') continue;
+      if (value.startsWith("'") && FORMULA_PATTERN.test(value.slice(1))) value = value.slice(1);
+
+      if (matchKey) {
+        variants[locale] ??= {};
+        variants[locale][key] ??= {};
+        variants[locale][key][matchKey] = value;
+      } else {
+        messages[locale] ??= {};
+        messages[locale][key] = value;
+      }
+    }
+  }
+
+  // A variant replaces a plain row of the same key and locale. It is merged
+  // into the locale's current variant, so forms left empty keep their text.
+  for (const [locale, keys] of Object.entries(variants)) {
+    for (const [key, match] of Object.entries(keys)) {
+      const current = parseVariantStructure(getTranslationVersions(locale, key).current);
+      messages[locale] ??= {};
+      messages[locale][key] = current
+        ? [{ ...current, match: { ...current.match, ...match } }]
+        : [{ ...variantShape(locale, key, Object.keys(match)), match }];
+    }
+  }
+
+  return messages;
+}
@@ -6,13 +6,19 @@
  * Responsibilities:
  * - Inject global CSS for overlay styles using ::after pseudo-elements
  * - Apply overlay classes based on element state
- * - Support multiple states: edited, conflict, hoverable, selected
+ * - Support multiple states: edited, draft, conflict, missing, fallback,
+ *   untranslated, hoverable, selected
+ * - Filter the overlay down to one kind of state (page-level QA)
  * - Provide consistent visual feedback across the application
  * - Single point of entry for all element styling
  *
  * Visual States:
  * - hoverable: Yellow dashed border (1px) via ::after - overlay mode active, not edited
+ * - untranslated: Cyan dashed border (2px) via ::after - same text as the base locale, probably not translated yet
+ * - fallback: Purple dotted border (2px) via ::after - key missing in this locale, text shown from a fallback locale
+ * - missing: Orange dotted border (2px) via ::after - key missing in this locale and all of its fallbacks
  * - edited: Green solid border (2px) via ::after - translation has been edited locally
+ * - draft: Pink dashed border (2px) via ::after - unsaved text left in the edit popup
  * - conflict: Red solid border (2px) via ::after - conflict between local and server
  * - selected: Blue solid border (2px) via ::after - popup currently open for this element
  * - none: No overlay class - removes all overlay styling
@@ -30,6 +36,49 @@
  * - Handle UI components (see ui/)
  */
 
+/** Outline state priority for elements with several slots: higher index wins */
+export const OUTLINE_PRIORITY = ['none', 'hoverable', 'untranslated', 'fallback', 'missing', 'edited', 'draft', 'conflict'];
+
+/**
+ * Pick the state that should show when two slots of an element disagree.
+ *
+ * @param {string} a - Outline state
+ * @param {string} b - Outline state
+ * @returns {string}
+ */
+export function worstOutlineState(a, b) {
+  return OUTLINE_PRIORITY.indexOf(a) >= OUTLINE_PRIORITY.indexOf(b) ? a : b;
+}
+
+/** Overlay filter modes and the states each one shows (null shows all) */
+export const OVERLAY_FILTERS = {
+  all: null,
+  missing: ['missing', 'fallback'],
+  untranslated: ['untranslated'],
+  draft: ['draft'],
+  edited: ['edited'],
+  conflict: ['conflict'],
+};
+
+/**
+ * @returns {string} Current overlay filter mode (a key of OVERLAY_FILTERS)
+ */
+export function getOverlayFilter() {
+  const filter = localStorage.getItem('pge-overlay-filter');
+  return filter in OVERLAY_FILTERS ? filter : 'all';
+}
+
+/**
+ * @param {string} filter - A key of OVERLAY_FILTERS
+ */
+export function setOverlayFilter(filter) {
+  if (filter === 'all' || !(filter in OVERLAY_FILTERS)) {
+    localStorage.removeItem('pge-overlay-filter');
+  } else {
+    localStorage.setItem('pge-overlay-filter', filter);
+  }
+}
+
 /**
  * Inject global CSS styles for overlays
  * Called during initialization
@@ -67,6 +116,27 @@ export function injectOverlayStyles() {
       border-color: #b45309;
     }
 
+    /* Untranslated state - cyan dashed border (same text as the base locale) */
+    .pge-overlay-untranslated {
+      cursor: pointer !important;
+    }
+    .pge-overlay-untranslated::after {
+      content: '';
+      position: absolute;
+      inset: -3px;
+      border: 2px dashed #0891b2;
+      background: rgba(6, 182, 212, 0.08);
+      pointer-events: none;
+      z-index: 999997;
+      box-sizing: border-box;
+      border-radius: 2px;
+      transition: background 0.15s, border-color 0.15s;
+    }
+    .pge-overlay-untranslated:hover::after {
+      background: rgba(6, 182, 212, 0.3);
+      border-color: #0e7490;
+    }
+
     /* Edited state - green solid border (translation edited locally) */
     .pge-overlay-edited {
       cursor: pointer !important;
@@ -88,6 +158,27 @@ export function injectOverlayStyles() {
       border-color: #15803d;
     }
 
+    /* Draft state - pink dashed border (unsaved text left in the edit popup) */
+    .pge-overlay-draft {
+      cursor: pointer !important;
+    }
+    .pge-overlay-draft::after {
+      content: '';
+      position: absolute;
+      inset: -3px;
+      border: 2px dashed #db2777;
+      background: rgba(236, 72, 153, 0.08);
+      pointer-events: none;
+      z-index: 999997;
+      box-sizing: border-box;
+      border-radius: 2px;
+      transition: background 0.15s, border-color 0.15s;
+    }
+    .pge-overlay-draft:hover::after {
+      background: rgba(236, 72, 153, 0.3);
+      border-color: #be185d;
+    }
+
     /* Conflict state - red solid border (conflict detected) */
     .pge-overlay-conflict {
       cursor: pointer !important;
@@ -109,6 +200,48 @@ export function injectOverlayStyles() {
       border-color: #b91c1c;
     }
 
+    /* Fallback state - purple dotted border (text shown from a fallback locale) */
+    .pge-overlay-fallback {
+      cursor: pointer !important;
+    }
+    .pge-overlay-fallback::after {
+      content: '';
+      position: absolute;
+      inset: -3px;
+      border: 2px dotted #7c3aed;
+      background: rgba(139, 92, 246, 0.08);
+      pointer-events: none;
+      z-index: 999997;
+      box-sizing: border-box;
+      border-radius: 2px;
+      transition: background 0.15s, border-color 0.15s;
+    }
+    .pge-overlay-fallback:hover::after {
+      background: rgba(139, 92, 246, 0.3);
+      border-color: #6d28d9;
+    }
+
+    /* Missing state - orange dotted border (key missing in this locale and its fallbacks) */
+    .pge-overlay-missing {
+      cursor: pointer !important;
+    }
+    .pge-overlay-missing::after {
+      content: '';
+      position: absolute;
+      inset: -3px;
+      border: 2px dotted #ea580c;
+      background: rgba(249, 115, 22, 0.08);
+      pointer-events: none;
+      z-index: 999997;
+      box-sizing: border-box;
+      border-radius: 2px;
+      transition: background 0.15s, border-color 0.15s;
+    }
+    .pge-overlay-missing:hover::after {
+      background: rgba(249, 115, 22, 0.3);
+      border-color: #c2410c;
+    }
+
     /* Selected state - blue solid border (popup currently open for this element) */
     .pge-overlay-selected {
       cursor: pointer !important;
@@ -127,8 +260,12 @@ export function injectOverlayStyles() {
 
     /* Attribute-based elements (input, textarea, img) use outline instead of ::after */
     .pge-overlay-hoverable[data-paraglide-attr]::after,
+    .pge-overlay-untranslated[data-paraglide-attr]::after,
     .pge-overlay-edited[data-paraglide-attr]::after,
+    .pge-overlay-draft[data-paraglide-attr]::after,
     .pge-overlay-conflict[data-paraglide-attr]::after,
+    .pge-overlay-fallback[data-paraglide-attr]::after,
+    .pge-overlay-missing[data-paraglide-attr]::after,
     .pge-overlay-selected[data-paraglide-attr]::after {
       content: none;
     }
@@ -139,6 +276,13 @@ export function injectOverlayStyles() {
     .pge-overlay-hoverable[data-paraglide-attr]:hover {
       outline-color: #b45309;
     }
+    .pge-overlay-untranslated[data-paraglide-attr] {
+      outline: 2px dashed #0891b2;
+      outline-offset: 1px;
+    }
+    .pge-overlay-untranslated[data-paraglide-attr]:hover {
+      outline-color: #0e7490;
+    }
     .pge-overlay-edited[data-paraglide-attr] {
       outline: 2px solid #16a34a;
       outline-offset: 1px;
@@ -146,6 +290,13 @@ export function injectOverlayStyles() {
     .pge-overlay-edited[data-paraglide-attr]:hover {
       outline-color: #15803d;
     }
+    .pge-overlay-draft[data-paraglide-attr] {
+      outline: 2px dashed #db2777;
+      outline-offset: 1px;
+    }
+    .pge-overlay-draft[data-paraglide-attr]:hover {
+      outline-color: #be185d;
+    }
     .pge-overlay-conflict[data-paraglide-attr] {
       outline: 2px solid #dc2626;
       outline-offset: 1px;
@@ -153,6 +304,20 @@ export function injectOverlayStyles() {
     .pge-overlay-conflict[data-paraglide-attr]:hover {
       outline-color: #b91c1c;
     }
+    .pge-overlay-fallback[data-paraglide-attr] {
+      outline: 2px dotted #7c3aed;
+      outline-offset: 1px;
+    }
+    .pge-overlay-fallback[data-paraglide-attr]:hover {
+      outline-color: #6d28d9;
+    }
+    .pge-overlay-missing[data-paraglide-attr] {
+      outline: 2px dotted #ea580c;
+      outline-offset: 1px;
+    }
+    .pge-overlay-missing[data-paraglide-attr]:hover {
+      outline-color: #c2410c;
+    }
     .pge-overlay-selected[data-paraglide-attr] {
       outline: 2px solid #2563eb;
       outline-offset: 1px;
@@ -182,8 +347,12 @@ export function setOnTopMode(enabled) {
     style.id = 'pge-on-top-styles';
     style.textContent = `
       .pge-overlay-hoverable,
+      .pge-overlay-untranslated,
       .pge-overlay-edited,
+      .pge-overlay-draft,
       .pge-overlay-conflict,
+      .pge-overlay-fallback,
+      .pge-overlay-missing,
       .pge-overlay-selected {
         z-index: 999997 !important;
       }
@@ -198,12 +367,25 @@ export function setOnTopMode(enabled) {
  * Set the overlay style for an element based on its state
  * This is the single point of entry for modifying element overlays
  *
+ * When an overlay filter is active, elements are only outlined if one of
+ * their slots is in a state the filter shows; the outline then reflects
+ * that state.
+ *
  * @param {HTMLElement} element - The element to style
- * @param {string} state - The state: 'selected', 'edited', 'conflict', 'hoverable', 'none'
+ * @param {string} state - The state: 'selected', a state of OUTLINE_PRIORITY, or 'none'
+ * @param {string[]} [slotStates] - State of every slot of the element (defaults to `[state]`)
  */
-export function setElementOutline(element, state) {
+export function setElementOutline(element, state, slotStates = [state]) {
   // Remove all existing overlay classes
-  element.classList.remove('pge-overlay-hoverable', 'pge-overlay-edited', 'pge-overlay-conflict', 'pge-overlay-selected', 'pge-positioned');
+  element.classList.remove(
+    'pge-overlay-hoverable', 'pge-overlay-untranslated', 'pge-overlay-edited', 'pge-overlay-draft',
+    'pge-overlay-conflict', 'pge-overlay-fallback', 'pge-overlay-missing', 'pge-overlay-selected', 'pge-positioned'
+  );
+
+  const filterStates = OVERLAY_FILTERS[getOverlayFilter()];
+  if (filterStates && state !== 'selected' && state !== 'none') {
+    state = slotStates.find(slotState => filterStates.includes(slotState)) || 'none';
+  }
 
   // Add appropriate class based on state
   switch (state) {
@@ -216,6 +398,18 @@ export function setElementOutline(element, state) {
     case 'conflict':
       element.classList.add('pge-overlay-conflict');
       break;
+    case 'fallback':
+      element.classList.add('pge-overlay-fallback');
+      break;
+    case 'missing':
+      element.classList.add('pge-overlay-missing');
+      break;
+    case 'draft':
+      element.classList.add('pge-overlay-draft');
+      break;
+    case 'untranslated':
+      element.classList.add('pge-overlay-untranslated');
+      break;
     case 'hoverable':
       element.classList.add('pge-overlay-hoverable');
       break;
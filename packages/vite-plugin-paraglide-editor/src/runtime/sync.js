@@ -10,6 +10,7 @@
  * - Auto-resolve conflicts when edits match server changes
  * - Refresh data store after sync
  * - Update UI with sync results
+ * - Apply translation updates pushed by the dev server (HMR)
  *
  * This module does NOT:
  * - Resolve conflicts manually (see ui/conflictList.js)
@@ -18,7 +19,73 @@
  */
 
 import { syncTranslations } from './db.js';
-import { refreshDataStore, getTranslationsUrl } from './dataStore.js';
+import {
+  refreshDataStore,
+  getTranslationsUrl,
+  getServerTranslations,
+  markServerTranslationsChanged,
+} from './dataStore.js';
+import { flattenTranslations } from './messageFormat.js';
+
+/**
+ * Run conflict detection against a fresh set of server translations and
+ * refresh everything that depends on them (data store, page, conflict list).
+ *
+ * Shared by the manual "Sync Now" flow and the HMR push from the dev server.
+ *
+ * @param {Object} translations - Translations keyed by locale (nested files are flattened)
+ * @returns {Promise<Object>} Sync stats from syncTranslations()
+ */
+export async function applyServerTranslations(translations) {
+  const previousTranslations = getServerTranslations() || {};
+  const serverTranslations = flattenTranslations(translations);
+
+  const stats = await syncTranslations(serverTranslations);
+
+  console.debug('[paraglide-editor] Sync complete:', stats);
+
+  await refreshDataStore();
+  console.debug('[paraglide-editor] Data store refreshed after sync');
+
+  // Compiled message functions only pick up the change after Paraglide
+  // recompiles and the page reloads, so render changed keys from server data
+  markServerTranslationsChanged(previousTranslations, serverTranslations);
+
+  if (window.__paraglideEditor?.applySavedEdits) {
+    window.__paraglideEditor.applySavedEdits();
+  }
+
+  if (window.__paraglideEditor?.refreshConflictList) {
+    await window.__paraglideEditor.refreshConflictList();
+  }
+
+  return stats;
+}
+
+/**
+ * Listen for translation updates pushed by the dev server over Vite's HMR
+ * channel, so message file changes show up without pressing "Sync Now".
+ *
+ * @param {Object} hot - `import.meta.hot` of the runtime entry module
+ */
+export function initLiveSync(hot) {
+  hot.on('paraglide-editor:translations-updated', async ({ translations }) => {
+    console.debug('[paraglide-editor] Message files changed on disk, syncing...');
+    try {
+      const stats = await applyServerTranslations(translations);
+      if (stats.conflicts > 0) {
+        console.warn(`[paraglide-editor] ${stats.conflicts} conflicts detected after message file change`);
+      }
+    } catch (error) {
+      console.error('[paraglide-editor] Live sync failed:', error);
+    }
+  });
+
+  // Tell the dev server this page follows updates, so it stops reloading it
+  hot.send('paraglide-editor:live-sync-ready');
+
+  console.debug('[paraglide-editor] ✓ Live sync enabled');
+}
 
 export async function syncWithServer() {
   try {
@@ -34,16 +101,7 @@ export async function syncWithServer() {
 
     console.debug('[paraglide-editor] Server translations fetched:', Object.keys(serverTranslations));
 
-    const stats = await syncTranslations(serverTranslations);
-
-    console.debug('[paraglide-editor] Sync complete:', stats);
-
-    await refreshDataStore();
-    console.debug('[paraglide-editor] Data store refreshed after sync');
-
-    if (window.__paraglideEditor?.applySavedEdits) {
-      window.__paraglideEditor.applySavedEdits();
-    }
+    const stats = await applyServerTranslations(serverTranslations);
 
     const messages = [];
     if (stats.newKeys > 0) messages.push(`${stats.newKeys} new keys`);
@@ -54,10 +112,6 @@ export async function syncWithServer() {
 
     const summary = messages.length > 0 ? messages.join(', ') : 'No changes';
 
-    if (window.__paraglideEditor?.refreshConflictList) {
-      await window.__paraglideEditor.refreshConflictList();
-    }
-
     console.debug(`[paraglide-editor] Sync complete: ${summary}`);
 
     return stats;
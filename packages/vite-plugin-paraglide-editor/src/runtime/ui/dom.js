@@ -218,17 +218,18 @@ export function createElementFromHTML(html) {
 
 /**
  * Escape HTML to prevent XSS
+ * Quotes are escaped too, so the result is safe inside quoted attributes
  *
  * @param {string} text - Text to escape
  * @returns {string} Escaped HTML
  *
  * @example
- * escapeHtml('<script>alert("xss")</script>') // '&lt;script&gt;...'
+ * escapeHtml('<script>alert("xss")</script>') // '&lt;script&gt;alert(&quot;xss&quot;)...'
  */
 export function escapeHtml(text) {
   const div = document.createElement('div');
   div.textContent = text;
-  return div.innerHTML;
+  return div.innerHTML.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
 }
 
 /**
@@ -0,0 +1,517 @@
+/**
+ * Grid Editor UI Component
+ *
+ * Purpose: Full-screen spreadsheet view for bulk translation work, with one
+ * row per key and one column per locale.
+ *
+ * Responsibilities:
+ * - Render every key and locale as an editable grid
+ * - Keyboard navigation between cells (arrows, Enter, Shift+Enter)
+ * - Paste tab-separated blocks copied from Excel or Google Sheets
+ * - Sort by any column, filter by text, show only rows with empty cells
+ * - Save cells through the same path as the edit popup
+ * - Re-collect rows when the data store changes (popup edits, imports, sync)
+ * - Open variant messages in the edit popup
+ *
+ * This module does NOT:
+ * - Store translation data (see dataStore.js, db.js)
+ * - Edit variant structures itself (see popup.js)
+ */
+
+import { getAllTranslationKeys, getServerTranslations, getTranslationVersions, onDataStoreChange } from '../dataStore.js';
+import { refreshElementsByKey } from '../overlay.js';
+import { parseDelimitedText } from '../spreadsheet.js';
+import { createEditPopup } from './popup.js';
+import { saveTranslationValue } from './popupHandlers.js';
+import { escapeHtml } from './dom.js';
+
+function isEmptyValue(value) {
+  return value === '' || value == null;
+}
+
+/**
+ * Build one row per key with the current value of each locale.
+ *
+ * @param {string[]} locales - Grid columns
+ * @returns {Array<Object>} Rows: { key, cells: { [locale]: { value, isVariant, isEdited, hasConflict } } }
+ */
+function collectRows(locales) {
+  return getAllTranslationKeys().map(key => {
+    const cells = {};
+    for (const locale of locales) {
+      const versions = getTranslationVersions(locale, key);
+      cells[locale] = {
+        value: versions.current,
+        server: versions.server,
+        isEdited: versions.isEdited,
+        hasConflict: versions.hasConflict,
+      };
+    }
+
+    // A key with variants in one locale is edited as variants in all of them
+    const isVariant = Object.values(cells).some(cell =>
+      (cell.value !== null && typeof cell.value === 'object') || typeof cell.server === 'object'
+    );
+    for (const cell of Object.values(cells)) cell.isVariant = isVariant;
+
+    return { key, cells };
+  });
+}
+
+function getGridStyles() {
+  return `
+    <style>
+      #pge-grid-editor {
+        position: fixed;
+        inset: 0;
+        z-index: 1000001;
+        background: white;
+        display: flex;
+        flex-direction: column;
+        font-family: system-ui, -apple-system, sans-serif;
+        color: #2d3748;
+      }
+      #pge-grid-editor .pge-grid-toolbar {
+        display: flex;
+        align-items: center;
+        gap: 16px;
+        padding: 12px 16px;
+        border-bottom: 1px solid #e2e8f0;
+        font-size: 14px;
+      }
+      #pge-grid-editor .pge-grid-toolbar h2 {
+        margin: 0;
+        font-size: 18px;
+      }
+      #pge-grid-filter {
+        flex: 1;
+        max-width: 360px;
+        padding: 6px 10px;
+        border: 2px solid #e2e8f0;
+        border-radius: 6px;
+        font-size: 14px;
+        outline: none;
+      }
+      #pge-grid-filter:focus {
+        border-color: #667eea;
+      }
+      #pge-grid-status {
+        color: #718096;
+        margin-left: auto;
+      }
+      #pge-grid-close {
+        background: #e2e8f0;
+        color: #2d3748;
+        border: none;
+        border-radius: 50%;
+        width: 32px;
+        height: 32px;
+        font-size: 20px;
+        cursor: pointer;
+      }
+      #pge-grid-editor .pge-grid-scroll {
+        flex: 1;
+        overflow: auto;
+      }
+      #pge-grid-editor table {
+        border-collapse: collapse;
+        width: 100%;
+        font-size: 13px;
+      }
+      #pge-grid-editor th {
+        position: sticky;
+        top: 0;
+        z-index: 1;
+        background: #f7fafc;
+        text-align: left;
+        padding: 8px;
+        border: 1px solid #e2e8f0;
+        cursor: pointer;
+        user-select: none;
+        white-space: nowrap;
+      }
+      #pge-grid-editor td {
+        border: 1px solid #e2e8f0;
+        padding: 0;
+        vertical-align: top;
+      }
+      #pge-grid-editor td.pge-grid-key {
+        padding: 6px 8px;
+        font-family: monospace;
+        white-space: nowrap;
+        background: #f7fafc;
+      }
+      #pge-grid-editor .pge-grid-cell {
+        display: block;
+        width: 100%;
+        min-width: 180px;
+        box-sizing: border-box;
+        border: none;
+        padding: 6px 8px;
+        font: inherit;
+        color: inherit;
+        background: transparent;
+        resize: none;
+        outline: none;
+        field-sizing: content;
+      }
+      #pge-grid-editor .pge-grid-cell:focus {
+        box-shadow: inset 0 0 0 2px #667eea;
+      }
+      #pge-grid-editor button.pge-grid-cell {
+        text-align: left;
+        cursor: pointer;
+        color: #667eea;
+      }
+      #pge-grid-editor td.pge-grid-empty {
+        background: rgba(249, 115, 22, 0.12);
+      }
+      #pge-grid-editor td.pge-grid-edited {
+        box-shadow: inset 3px 0 0 #16a34a;
+      }
+      #pge-grid-editor td.pge-grid-conflict {
+        box-shadow: inset 3px 0 0 #dc2626;
+      }
+      #pge-grid-editor.pge-grid-only-empty td:not(.pge-grid-empty):not(.pge-grid-key) .pge-grid-cell {
+        opacity: 0.4;
+      }
+      @media (prefers-color-scheme: dark) {
+        #pge-grid-editor {
+          background: #1a202c;
+          color: #f7fafc;
+        }
+        #pge-grid-editor .pge-grid-toolbar,
+        #pge-grid-editor th,
+        #pge-grid-editor td {
+          border-color: #4a5568;
+        }
+        #pge-grid-editor th,
+        #pge-grid-editor td.pge-grid-key {
+          background: #2d3748;
+        }
+        #pge-grid-filter {
+          background: #2d3748;
+          border-color: #4a5568;
+          color: #f7fafc;
+        }
+        #pge-grid-close {
+          background: #4a5568;
+          color: #f7fafc;
+        }
+      }
+    </style>
+  `;
+}
+
+function cellHTML(rowIndex, colIndex, locale, cell) {
+  const classes = [
+    isEmptyValue(cell.value) && 'pge-grid-empty',
+    cell.isEdited && 'pge-grid-edited',
+    cell.hasConflict && 'pge-grid-conflict',
+  ].filter(Boolean).join(' ');
+
+  const position = `data-row="${rowIndex}" data-col="${colIndex}" data-locale="${escapeHtml(locale)}"`;
+  const input = cell.isVariant
+    ? `<button class="pge-grid-cell pge-grid-variant" ${position} title="Edit variants">(variants) ✎</button>`
+    : `<textarea class="pge-grid-cell" rows="1" ${position}>${escapeHtml(cell.value ?? '')}</textarea>`;
+
+  return `<td class="${classes}">${input}</td>`;
+}
+
+/**
+ * Open the grid editor over the page.
+ */
+export function showGridEditor() {
+  const existing = document.getElementById('pge-grid-editor');
+  if (existing) existing.remove();
+
+  const locales = Object.keys(getServerTranslations() || {});
+  let allRows = collectRows(locales);
+
+  const state = {
+    filter: '',
+    onlyEmpty: false,
+    sortColumn: 'key',
+    sortDirection: 1,
+  };
+  // Rows currently displayed, in display order
+  let rows = [];
+
+  const grid = document.createElement('div');
+  grid.id = 'pge-grid-editor';
+  grid.classList.add('pge-ignore-detection');
+  grid.innerHTML = `
+    ${getGridStyles()}
+    <div class="pge-grid-toolbar">
+      <h2>Grid Editor</h2>
+      <input type="search" id="pge-grid-filter" placeholder="Filter keys and translations...">
+      <label><input type="checkbox" id="pge-grid-only-empty"> Show only empty cells</label>
+      <span id="pge-grid-status"></span>
+      <button id="pge-grid-close" title="Close">×</button>
+    </div>
+    <div class="pge-grid-scroll">
+      <table>
+        <thead></thead>
+        <tbody></tbody>
+      </table>
+    </div>
+  `;
+
+  const thead = grid.querySelector('thead');
+  const tbody = grid.querySelector('tbody');
+  const status = grid.querySelector('#pge-grid-status');
+
+  function sortValue(row) {
+    if (state.sortColumn === 'key') return row.key;
+    const { value, isVariant } = row.cells[state.sortColumn];
+    return isVariant ? '' : (value ?? '');
+  }
+
+  function render() {
+    const terms = state.filter.toLowerCase().split(/\s+/).filter(Boolean);
+
+    rows = allRows.filter(row => {
+      if (state.onlyEmpty && !locales.some(locale => isEmptyValue(row.cells[locale].value))) {
+        return false;
+      }
+      if (terms.length === 0) return true;
+      const text = [row.key, ...locales.map(locale => {
+        const { value } = row.cells[locale];
+        return typeof value === 'string' ? value : JSON.stringify(value ?? '');
+      })].join('\n').toLowerCase();
+      return terms.every(term => text.includes(term));
+    });
+
+    rows.sort((a, b) => sortValue(a).localeCompare(sortValue(b)) * state.sortDirection);
+
+    const arrow = (column) => state.sortColumn === column ? (state.sortDirection > 0 ? ' ▲' : ' ▼') : '';
+    thead.innerHTML = `<tr>
+      <th data-sort="key">Key${arrow('key')}</th>
+      ${locales.map(locale => `<th data-sort="${escapeHtml(locale)}">${escapeHtml(locale)}${arrow(locale)}</th>`).join('')}
+    </tr>`;
+
+    tbody.innerHTML = rows.map((row, rowIndex) => `<tr>
+      <td class="pge-grid-key">${escapeHtml(row.key)}</td>
+      ${locales.map((locale, colIndex) => cellHTML(rowIndex, colIndex, locale, row.cells[locale])).join('')}
+    </tr>`).join('');
+
+    grid.classList.toggle('pge-grid-only-empty', state.onlyEmpty);
+    status.textContent = `${rows.length} of ${allRows.length} keys`;
+  }
+
+  function getCellInput(rowIndex, colIndex) {
+    return tbody.querySelector(`.pge-grid-cell[data-row="${rowIndex}"][data-col="${colIndex}"]`);
+  }
+
+  function focusCell(rowIndex, colIndex) {
+    const input = getCellInput(rowIndex, colIndex);
+    if (!input) return;
+    input.focus();
+    input.select?.();
+  }
+
+  function updateCellState(input, cell) {
+    const td = input.closest('td');
+    td.classList.toggle('pge-grid-empty', isEmptyValue(cell.value));
+    td.classList.toggle('pge-grid-edited', cell.isEdited);
+    td.classList.toggle('pge-grid-conflict', cell.hasConflict);
+  }
+
+  /**
+   * Re-collect the rows and render them again, keeping focus on the same
+   * key and locale. Text typed in the focused cell and not saved yet is kept.
+   */
+  function refreshRows() {
+    const active = grid.contains(document.activeElement) && document.activeElement.matches('.pge-grid-cell')
+      ? document.activeElement
+      : null;
+    const focused = active && {
+      key: rows[Number(active.dataset.row)].key,
+      col: Number(active.dataset.col),
+      unsaved: active.tagName === 'TEXTAREA' && active.value !== (rows[Number(active.dataset.row)].cells[active.dataset.locale].value ?? '')
+        ? active.value
+        : null,
+      selection: [active.selectionStart, active.selectionEnd],
+    };
+
+    allRows = collectRows(locales);
+    render();
+    if (!focused) return;
+
+    const rowIndex = rows.findIndex(row => row.key === focused.key);
+    const input = rowIndex === -1 ? null : getCellInput(rowIndex, focused.col);
+    if (!input) return;
+    if (focused.unsaved !== null) input.value = focused.unsaved;
+    input.focus();
+    input.setSelectionRange?.(...focused.selection);
+  }
+
+  /**
+   * Save a text cell if its value changed.
+   *
+   * @param {HTMLTextAreaElement} input - Cell textarea
+   * @param {Object} [row] - Row of the cell (defaults to the displayed row)
+   * @returns {Promise<void>}
+   */
+  async function saveCell(input, row = rows[Number(input.dataset.row)]) {
+    const locale = input.dataset.locale;
+    const cell = row.cells[locale];
+    if (cell.isVariant || input.value === (cell.value ?? '')) return;
+
+    try {
+      cell.isEdited = await saveTranslationValue(locale, row.key, input.value, cell.server, 'grid');
+      cell.value = input.value;
+      cell.hasConflict = false;
+      updateCellState(input, cell);
+      refreshElementsByKey(row.key, locale);
+    } catch (error) {
+      console.error(`[paraglide-editor] Failed to save ${row.key} (${locale}):`, error);
+      input.value = cell.value ?? '';
+    }
+  }
+
+  function openVariantEditor(input) {
+    const row = rows[Number(input.dataset.row)];
+    createEditPopup(null, row.key, {}, '');
+  }
+
+  /**
+   * Paste a tab-separated block starting at the given cell.
+   * Variant cells in the pasted area are skipped.
+   */
+  async function pasteTable(startInput, table) {
+    const startRow = Number(startInput.dataset.row);
+    const startCol = Number(startInput.dataset.col);
+
+    // Each save re-renders the grid, so pick the cells and rows first
+    const targets = [];
+    for (let r = 0; r < table.length; r++) {
+      for (let c = 0; c < table[r].length; c++) {
+        const input = getCellInput(startRow + r, startCol + c);
+        if (!input || input.tagName !== 'TEXTAREA') continue;
+        targets.push({ input, row: rows[startRow + r], value: table[r][c] });
+      }
+    }
+
+    for (const { input, row, value } of targets) {
+      input.value = value;
+      await saveCell(input, row);
+    }
+
+    console.debug(`[paraglide-editor] Pasted ${targets.length} cells into the grid`);
+  }
+
+  function close() {
+    document.removeEventListener('keydown', handleEscKey);
+    unsubscribe();
+    grid.remove();
+  }
+
+  // Saves update several locales at once; refresh once per batch
+  let refreshScheduled = false;
+  const unsubscribe = onDataStoreChange(() => {
+    if (!grid.isConnected) {
+      unsubscribe();
+      return;
+    }
+    if (refreshScheduled) return;
+    refreshScheduled = true;
+    queueMicrotask(() => {
+      refreshScheduled = false;
+      refreshRows();
+    });
+  });
+
+  function handleEscKey(e) {
+    if (e.key !== 'Escape') return;
+    // Escape closes a variant popup opened from the grid first
+    if (document.getElementById('pge-edit-popup')) return;
+    if (e.target.classList?.contains('pge-grid-cell')) return;
+    close();
+  }
+
+  thead.addEventListener('click', (e) => {
+    const column = e.target.closest('th')?.dataset.sort;
+    if (!column) return;
+    if (state.sortColumn === column) {
+      state.sortDirection = -state.sortDirection;
+    } else {
+      state.sortColumn = column;
+      state.sortDirection = 1;
+    }
+    render();
+  });
+
+  tbody.addEventListener('change', (e) => {
+    if (e.target.matches('textarea.pge-grid-cell')) saveCell(e.target);
+  });
+
+  tbody.addEventListener('click', (e) => {
+    if (e.target.matches('.pge-grid-variant')) openVariantEditor(e.target);
+  });
+
+  tbody.addEventListener('paste', (e) => {
+    if (!e.target.matches('textarea.pge-grid-cell')) return;
+    const text = e.clipboardData?.getData('text/plain') ?? '';
+    // Plain text pastes into the cell as usual
+    if (!/[\t\n\r]/.test(text)) return;
+
+    e.preventDefault();
+    pasteTable(e.target, parseDelimitedText(text, '\t'));
+  });
+
+  tbody.addEventListener('keydown', (e) => {
+    const input = e.target;
+    if (!input.classList.contains('pge-grid-cell')) return;
+
+    const row = Number(input.dataset.row);
+    const col = Number(input.dataset.col);
+    const isText = input.tagName === 'TEXTAREA';
+
+    if (e.key === 'Enter' && e.altKey && isText) {
+      // Alt+Enter inserts a line break, like in spreadsheets
+      e.preventDefault();
+      input.setRangeText('\n', input.selectionStart, input.selectionEnd, 'end');
+    } else if (e.key === 'Enter' && !isText) {
+      e.preventDefault();
+      openVariantEditor(input);
+    } else if (e.key === 'Enter' || e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      const up = e.key === 'ArrowUp' || (e.key === 'Enter' && e.shiftKey);
+      focusCell(up ? row - 1 : row + 1, col);
+    } else if (e.key === 'ArrowLeft' && (!isText || (input.selectionStart === 0 && input.selectionEnd === 0))) {
+      e.preventDefault();
+      focusCell(row, col - 1);
+    } else if (e.key === 'ArrowRight' && (!isText || input.selectionStart === input.value.length)) {
+      e.preventDefault();
+      focusCell(row, col + 1);
+    } else if (e.key === 'Escape' && isText) {
+      // Escape undoes the cell's unsaved change, then leaves the cell
+      const saved = rows[row].cells[input.dataset.locale].value ?? '';
+      if (input.value !== saved) {
+        input.value = saved;
+      } else {
+        input.blur();
+      }
+    }
+  });
+
+  grid.querySelector('#pge-grid-filter').addEventListener('input', (e) => {
+    state.filter = e.target.value;
+    render();
+  });
+
+  grid.querySelector('#pge-grid-only-empty').addEventListener('change', (e) => {
+    state.onlyEmpty = e.target.checked;
+    render();
+  });
+
+  grid.querySelector('#pge-grid-close').addEventListener('click', close);
+  document.addEventListener('keydown', handleEscKey);
+
+  document.body.appendChild(grid);
+  render();
+  focusCell(0, 0);
+
+  console.debug(`[paraglide-editor] ✓ Grid editor opened: ${allRows.length} keys, ${locales.length} locales`);
+}
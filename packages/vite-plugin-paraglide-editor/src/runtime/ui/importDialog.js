@@ -0,0 +1,234 @@
+/**
+ * Import Preview UI Component
+ *
+ * Purpose: Let the user review imported translations before they become
+ * local edits.
+ *
+ * Responsibilities:
+ * - Show what an import would change, grouped by locale, as word diffs
+ * - Report conflicts with existing local edits (left unticked by default)
+ * - Report files or messages that could not be read
+ * - Apply the ticked changes
+ *
+ * This module does NOT:
+ * - Parse files or compare messages (see import.js)
+ * - Store edits (see db.js, dataStore.js)
+ */
+
+import { applyImport } from '../import.js';
+import { diffHTML } from './pendingChanges.js';
+import { escapeHtml } from './dom.js';
+
+const STATUS_LABELS = {
+  new: 'new key',
+  changed: 'changed',
+  conflict: 'conflicts with your edit',
+};
+
+function changeHTML(change, index) {
+  const conflict = change.status === 'conflict';
+  return `
+    <div class="pge-import-change${conflict ? ' pge-import-conflict' : ''}">
+      <label class="pge-import-change-header">
+        <input type="checkbox" data-index="${index}" ${conflict ? '' : 'checked'}>
+        <code>${escapeHtml(change.key)}</code>
+        <span class="pge-import-status">${STATUS_LABELS[change.status]}</span>
+      </label>
+      <div class="pge-import-diff">${diffHTML(change.serverValue, change.value)}</div>
+      ${conflict ? `<div class="pge-import-local"><strong>Against your edit:</strong> ${diffHTML(change.localValue, change.value)}</div>` : ''}
+    </div>
+  `;
+}
+
+/**
+ * Show the import preview.
+ *
+ * @param {{ changes: Array<Object>, unchanged: number, invalid: string[] }} plan - Result of planImport()
+ * @param {string[]} [errors] - Files that could not be read
+ * @param {Object} [options]
+ * @param {Function} [options.onApplied] - Called with the number of imported edits
+ */
+export function showImportPreview(plan, errors = [], { onApplied } = {}) {
+  const existing = document.getElementById('pge-import-preview');
+  if (existing) existing.remove();
+
+  const { changes, unchanged, invalid } = plan;
+  const conflicts = changes.filter(change => change.status === 'conflict').length;
+
+  const byLocale = new Map();
+  changes.forEach((change, index) => {
+    if (!byLocale.has(change.locale)) byLocale.set(change.locale, []);
+    byLocale.get(change.locale).push(changeHTML(change, index));
+  });
+
+  const problems = [
+    ...errors,
+    ...invalid.map(id => `${id}: not a message (expected text or a variant array)`),
+  ];
+
+  const dialog = document.createElement('div');
+  dialog.id = 'pge-import-preview';
+  dialog.classList.add('pge-ignore-detection');
+  dialog.innerHTML = `
+    <style>
+      #pge-import-preview {
+        position: fixed;
+        inset: 0;
+        background: rgba(0, 0, 0, 0.7);
+        z-index: 1000001;
+        display: flex;
+        align-items: center;
+        justify-content: center;
+        font-family: system-ui, -apple-system, sans-serif;
+      }
+      #pge-import-preview .pge-import-content {
+        background: #2d3748;
+        color: #f7fafc;
+        border-radius: 12px;
+        padding: 24px;
+        max-width: 760px;
+        width: 90%;
+        max-height: 80vh;
+        overflow-y: auto;
+        box-shadow: 0 20px 50px rgba(0, 0, 0, 0.5);
+      }
+      #pge-import-preview h3 {
+        margin: 0 0 12px 0;
+        font-size: 20px;
+      }
+      #pge-import-preview h4 {
+        margin: 16px 0 8px 0;
+        font-size: 15px;
+        color: #90cdf4;
+      }
+      #pge-import-preview .pge-import-summary {
+        font-size: 14px;
+        color: #cbd5e0;
+        margin: 0 0 12px 0;
+      }
+      #pge-import-preview .pge-import-problems {
+        background: rgba(229, 62, 62, 0.15);
+        border-left: 3px solid #e53e3e;
+        padding: 8px 12px;
+        font-size: 13px;
+        margin: 0 0 12px 0;
+      }
+      #pge-import-preview .pge-import-change {
+        border-left: 3px solid #48bb78;
+        background: rgba(255, 255, 255, 0.05);
+        padding: 8px 12px;
+        margin: 6px 0;
+        border-radius: 4px;
+      }
+      #pge-import-preview .pge-import-change.pge-import-conflict {
+        border-left-color: #e53e3e;
+      }
+      #pge-import-preview .pge-import-change-header {
+        display: flex;
+        align-items: center;
+        gap: 8px;
+        font-size: 13px;
+        cursor: pointer;
+      }
+      #pge-import-preview .pge-import-status {
+        font-size: 11px;
+        color: #a0aec0;
+      }
+      #pge-import-preview .pge-import-conflict .pge-import-status {
+        color: #fc8181;
+      }
+      #pge-import-preview .pge-import-diff,
+      #pge-import-preview .pge-import-local {
+        font-size: 13px;
+        margin-top: 4px;
+        white-space: pre-wrap;
+        word-break: break-word;
+        color: #e2e8f0;
+      }
+      #pge-import-preview .pge-diff-removed {
+        background: rgba(239, 68, 68, 0.25);
+        color: #fca5a5;
+      }
+      #pge-import-preview .pge-diff-added {
+        background: rgba(34, 197, 94, 0.25);
+        color: #86efac;
+        text-decoration: none;
+      }
+      #pge-import-preview button {
+        border: none;
+        padding: 10px 20px;
+        border-radius: 6px;
+        cursor: pointer;
+        font-size: 14px;
+        font-weight: 600;
+        margin: 16px 8px 0 0;
+      }
+      #pge-import-apply {
+        background: #48bb78;
+        color: white;
+      }
+      #pge-import-apply:disabled {
+        background: #718096;
+        cursor: not-allowed;
+      }
+      #pge-import-cancel {
+        background: #718096;
+        color: white;
+      }
+    </style>
+    <div class="pge-import-content">
+      <h3>Import Preview</h3>
+      <p class="pge-import-summary">
+        ${changes.length} changes, ${conflicts} conflicts with your local edits, ${unchanged} unchanged.
+        ${conflicts > 0 ? 'Conflicting keys are unticked; tick them to replace your edit with the imported text.' : ''}
+      </p>
+      ${problems.length > 0 ? `<div class="pge-import-problems">${problems.map(escapeHtml).join('<br>')}</div>` : ''}
+      ${[...byLocale].map(([locale, items]) => `<h4>${escapeHtml(locale)} (${items.length})</h4>${items.join('')}`).join('')}
+      <button id="pge-import-apply"></button>
+      <button id="pge-import-cancel">Cancel</button>
+    </div>
+  `;
+
+  document.body.appendChild(dialog);
+
+  const applyBtn = dialog.querySelector('#pge-import-apply');
+  const boxes = [...dialog.querySelectorAll('input[data-index]')];
+
+  const updateApplyButton = () => {
+    const count = boxes.filter(box => box.checked).length;
+    applyBtn.textContent = `Import ${count} changes`;
+    applyBtn.disabled = count === 0;
+  };
+  boxes.forEach(box => box.addEventListener('change', updateApplyButton));
+  updateApplyButton();
+
+  const close = () => {
+    document.removeEventListener('keydown', handleEsc);
+    dialog.remove();
+  };
+
+  function handleEsc(e) {
+    if (e.key === 'Escape') close();
+  }
+  document.addEventListener('keydown', handleEsc);
+
+  dialog.addEventListener('click', (e) => {
+    if (e.target === dialog) close();
+  });
+  dialog.querySelector('#pge-import-cancel').addEventListener('click', close);
+
+  applyBtn.addEventListener('click', async () => {
+    applyBtn.disabled = true;
+    applyBtn.textContent = 'Importing...';
+
+    try {
+      const selected = boxes.filter(box => box.checked).map(box => changes[Number(box.dataset.index)]);
+      const count = await applyImport(selected);
+      close();
+      onApplied?.(count);
+    } catch (error) {
+      console.error('[paraglide-editor] Import failed:', error);
+      applyBtn.textContent = `Import failed: ${error.message}`;
+    }
+  });
+}
@@ -0,0 +1,220 @@
+/**
+ * Key Browser UI Component
+ *
+ * Purpose: Find and edit any message, including keys not rendered on the
+ * current page.
+ *
+ * Responsibilities:
+ * - List every key from the server translations and the local edits cache
+ * - Search keys and values in all locales
+ * - Group keys by prefix (`nav.home`, `nav_home` → `nav`)
+ * - Show edit status badges (edited, conflict, draft, missing locales)
+ * - Open the edit popup for a key, and locate its elements on the page
+ *
+ * This module does NOT:
+ * - Edit translations (see popup.js)
+ * - Store translation data (see dataStore.js)
+ */
+
+import {
+  getAllTranslationKeys,
+  getServerTranslations,
+  getTranslationVersions,
+  onDataStoreChange,
+} from '../dataStore.js';
+import { getCurrentLocale } from '../languageDetection.js';
+import { hasDraft } from '../drafts.js';
+import { findElementsByKey, locateElementsByKey } from '../overlay.js';
+import { createEditPopup } from './popup.js';
+import { escapeHtml, truncate } from './dom.js';
+
+// Rendering thousands of rows at once freezes the modal
+const MAX_SEARCH_RESULTS = 200;
+
+/**
+ * Collect the status and searchable text of every key.
+ *
+ * @returns {Array<Object>} One entry per key
+ */
+function collectKeyEntries() {
+  const locales = Object.keys(getServerTranslations() || {});
+  const currentLocale = getCurrentLocale();
+
+  return getAllTranslationKeys().map(key => {
+    const entry = { key, edited: false, conflict: false, draft: false, missing: [], preview: '' };
+    const searchParts = [key];
+
+    for (const locale of locales) {
+      const versions = getTranslationVersions(locale, key);
+      if (versions.isEdited) entry.edited = true;
+      if (versions.hasConflict) entry.conflict = true;
+      if (hasDraft(locale, key)) entry.draft = true;
+
+      const value = versions.current;
+      if (value === '' || value == null) {
+        entry.missing.push(locale);
+        continue;
+      }
+
+      const text = typeof value === 'string' ? value : JSON.stringify(value);
+      searchParts.push(text);
+      if (locale === currentLocale) {
+        entry.preview = typeof value === 'string' ? value : '(variants)';
+      }
+    }
+
+    entry.searchText = searchParts.join('\n').toLowerCase();
+    return entry;
+  });
+}
+
+function getKeyPrefix(key) {
+  const match = key.match(/^(.+?)[._]/);
+  return match ? match[1] : '';
+}
+
+function badgesHTML(entry) {
+  const badges = [];
+  if (entry.conflict) badges.push('<span class="pge-key-badge pge-key-badge-conflict">conflict</span>');
+  if (entry.draft) badges.push('<span class="pge-key-badge pge-key-badge-draft">draft</span>');
+  if (entry.edited) badges.push('<span class="pge-key-badge pge-key-badge-edited">edited</span>');
+  if (entry.missing.length > 0) {
+    badges.push(`<span class="pge-key-badge pge-key-badge-missing">missing: ${escapeHtml(entry.missing.join(', '))}</span>`);
+  }
+  return badges.join('');
+}
+
+function createKeyRow(entry, onLocate) {
+  const row = document.createElement('div');
+  row.className = 'pge-key-row';
+  row.innerHTML = `
+    <div class="pge-key-row-header">
+      <code class="pge-key-name">${escapeHtml(entry.key)}</code>
+      ${badgesHTML(entry)}
+    </div>
+    <div class="pge-key-preview">${escapeHtml(truncate(entry.preview, 80))}</div>
+    <div>
+      <button class="pge-key-edit">Edit</button>
+      <button class="pge-key-locate secondary">Locate on page</button>
+    </div>
+  `;
+
+  row.querySelector('.pge-key-edit').addEventListener('click', () => {
+    createEditPopup(null, entry.key, {}, entry.preview);
+  });
+
+  const locateBtn = row.querySelector('.pge-key-locate');
+  if (findElementsByKey(entry.key).length === 0) {
+    locateBtn.disabled = true;
+    locateBtn.title = 'Not rendered on this page';
+  }
+  locateBtn.addEventListener('click', () => {
+    onLocate?.();
+    locateElementsByKey(entry.key);
+  });
+
+  return row;
+}
+
+function createGroup(prefix, entries, searching, state) {
+  const group = document.createElement('details');
+  group.className = 'pge-key-group';
+  group.innerHTML = `<summary>${escapeHtml(prefix || 'Other')} <span class="pge-key-count">(${entries.length})</span></summary>`;
+
+  // Rows of closed groups are only built when the group is first opened
+  let rendered = false;
+  const renderRows = () => {
+    if (rendered) return;
+    rendered = true;
+    for (const entry of entries) {
+      group.appendChild(createKeyRow(entry, state.onLocate));
+    }
+  };
+
+  if (searching || state.openGroups.has(prefix)) {
+    group.open = true;
+    renderRows();
+  }
+  group.addEventListener('toggle', () => {
+    if (group.open) renderRows();
+    // Groups opened by a search close again once it is cleared
+    if (searching) return;
+    if (group.open) state.openGroups.add(prefix);
+    else state.openGroups.delete(prefix);
+  });
+
+  return group;
+}
+
+function renderKeyList(listContainer, query, state) {
+  const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+  let entries = collectKeyEntries();
+  if (terms.length > 0) {
+    entries = entries.filter(entry => terms.every(term => entry.searchText.includes(term)));
+  }
+
+  listContainer.innerHTML = '';
+
+  if (entries.length === 0) {
+    listContainer.innerHTML = `<p class="info">${terms.length > 0 ? 'No matching keys' : 'No translations loaded'}</p>`;
+    return;
+  }
+
+  const shown = terms.length > 0 ? entries.slice(0, MAX_SEARCH_RESULTS) : entries;
+
+  const groups = new Map();
+  for (const entry of shown) {
+    const prefix = getKeyPrefix(entry.key);
+    if (!groups.has(prefix)) groups.set(prefix, []);
+    groups.get(prefix).push(entry);
+  }
+
+  for (const [prefix, groupEntries] of groups) {
+    listContainer.appendChild(createGroup(prefix, groupEntries, terms.length > 0, state));
+  }
+
+  if (shown.length < entries.length) {
+    const more = document.createElement('p');
+    more.className = 'info';
+    more.textContent = `${entries.length - shown.length} more matches, refine the search to see them`;
+    listContainer.appendChild(more);
+  }
+}
+
+/**
+ * Set up the key browser inside the editor modal.
+ *
+ * @param {Object} [options]
+ * @param {Function} [options.onLocate] - Called before scrolling to a key's
+ *   elements (the modal closes itself so the page is visible)
+ */
+export function initKeyBrowser({ onLocate } = {}) {
+  const searchInput = document.getElementById('pge-key-search');
+  const listContainer = document.getElementById('pge-key-list');
+  if (!searchInput || !listContainer) {
+    console.warn('[paraglide-editor] Key browser container not found');
+    return;
+  }
+
+  // Groups the user opened stay open across re-renders
+  const state = { onLocate, openGroups: new Set() };
+  const render = () => renderKeyList(listContainer, searchInput.value, state);
+
+  // Saves update several locales at once; re-render once per batch
+  let renderScheduled = false;
+  const unsubscribe = onDataStoreChange(() => {
+    if (!listContainer.isConnected) {
+      unsubscribe();
+      return;
+    }
+    if (renderScheduled) return;
+    renderScheduled = true;
+    queueMicrotask(() => {
+      renderScheduled = false;
+      render();
+    });
+  });
+
+  searchInput.addEventListener('input', render);
+  render();
+}
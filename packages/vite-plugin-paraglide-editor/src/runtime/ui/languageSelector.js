@@ -15,7 +15,7 @@
  * - Handle rendering logic (see renderer.js)
  */
 
-import { getCurrentLocale } from '../languageDetection.js';
+import { getCurrentLocale, getParaglideRuntime, setAppLocale } from '../languageDetection.js';
 import { getServerTranslations } from '../dataStore.js';
 import { getSelectedLanguages } from '../helpers.js';
 
@@ -63,10 +63,15 @@ export async function initLanguageSelector() {
     if (overrideSelect && overrideSelect.tagName === 'SELECT') {
       overrideSelect.innerHTML = '';
 
-      const defaultOpt = document.createElement('option');
-      defaultOpt.value = '';
-      defaultOpt.textContent = 'None';
-      overrideSelect.appendChild(defaultOpt);
+      // With Paraglide's runtime the select switches the app's locale;
+      // without it, it overrides the locale the editor assumes
+      const followsApp = Boolean(getParaglideRuntime());
+      if (!followsApp) {
+        const defaultOpt = document.createElement('option');
+        defaultOpt.value = '';
+        defaultOpt.textContent = 'None';
+        overrideSelect.appendChild(defaultOpt);
+      }
 
       locales.forEach(locale => {
         const opt = document.createElement('option');
@@ -75,7 +80,7 @@ export async function initLanguageSelector() {
         overrideSelect.appendChild(opt);
       });
 
-      const overrideLocale = localStorage.getItem('pge-locale-override');
+      const overrideLocale = followsApp ? currentLocale : localStorage.getItem('pge-locale-override');
       if (overrideLocale && locales.includes(overrideLocale)) {
         overrideSelect.value = overrideLocale;
       } else {
@@ -179,10 +184,13 @@ function clearLocaleOverride() {
 
 export function switchLocale(newLocale, { closeModal = true } = {}) {
   console.debug(`[paraglide-editor] Switching locale to: ${newLocale}`);
-  localStorage.setItem('pge-locale-override', newLocale);
 
-  if (window.__paraglideEditor.updateCurrentLocale) {
-    window.__paraglideEditor.updateCurrentLocale();
+  if (!setAppLocale(newLocale)) {
+    localStorage.setItem('pge-locale-override', newLocale);
+
+    if (window.__paraglideEditor.updateCurrentLocale) {
+      window.__paraglideEditor.updateCurrentLocale();
+    }
   }
   if (closeModal) {
     document.getElementById('pge-editor-modal')?.remove();
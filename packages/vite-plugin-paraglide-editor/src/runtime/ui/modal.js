@@ -5,10 +5,11 @@
  *
  * Responsibilities:
  * - Render modal with all editor sections
- * - Coordinate sub-components (language selector, conflict list)
+ * - Coordinate sub-components (language selector, key browser, grid editor,
+ *   conflict list, pending changes)
  * - Handle modal open/close interactions
  * - Display translation statistics
- * - Provide access to export and sync functionality
+ * - Provide access to export, import, save and sync functionality
  *
  * This module does NOT:
  * - Contain business logic (see helpers.js)
@@ -17,10 +18,40 @@
  */
 
 import { exportEdits } from '../export.js';
+import { exportXliff } from '../xliff.js';
+import { exportPo } from '../gettext.js';
+import { exportSpreadsheet } from '../spreadsheet.js';
+import { exportChanges } from '../patch.js';
+import { getServerTranslations } from '../dataStore.js';
+import { getBaseLocale } from '../languageDetection.js';
+import { saveEditsToProject, getSaveUrl } from '../save.js';
 import { syncWithServer } from '../sync.js';
-import { isOnTopEnabled, setOnTopMode } from '../styles.js';
+import { isOnTopEnabled, setOnTopMode, getOverlayFilter } from '../styles.js';
 import { initLanguageSelector } from './languageSelector.js';
 import { initConflictList } from './conflictList.js';
+import { initKeyBrowser } from './keyBrowser.js';
+import { showGridEditor } from './gridEditor.js';
+import { initPendingChanges, reportFailedEdits, clearFailedEdits } from './pendingChanges.js';
+import { showImportPreview } from './importDialog.js';
+import { readImportFiles, planImport } from '../import.js';
+import { getEditedTranslations } from '../db.js';
+import { filterIncludedEdits } from '../exportSelection.js';
+
+/**
+ * List the edits a failed export or save covered under Pending Changes.
+ *
+ * @param {string} action - What failed
+ * @param {Error} error - The failure
+ * @param {boolean} includedOnly - Whether the action only covered ticked edits
+ */
+async function reportFailure(action, error, includedOnly) {
+  try {
+    const edits = await getEditedTranslations();
+    reportFailedEdits(action, includedOnly ? filterIncludedEdits(edits) : edits, error);
+  } catch (readError) {
+    console.error('[paraglide-editor] Could not list the failed edits:', readError);
+  }
+}
 
 export function showEditorModal() {
   const existing = document.getElementById('pge-editor-modal');
@@ -159,7 +190,9 @@ export function showEditorModal() {
         margin: 8px 0;
         line-height: 1.5;
       }
-      #pge-locale-override {
+      #pge-locale-override,
+      #pge-overlay-filter,
+      #pge-editor-modal .pge-translator-select {
         appearance: auto;
         background: white;
         border: 2px solid #667eea;
@@ -173,17 +206,139 @@ export function showEditorModal() {
         vertical-align: middle;
         margin-left: 4px;
       }
-      #pge-locale-override:hover {
+      #pge-locale-override:hover,
+      #pge-overlay-filter:hover,
+      #pge-editor-modal .pge-translator-select:hover {
         border-color: #5a67d8;
         color: #5a67d8;
       }
-      #pge-locale-override:focus {
+      #pge-locale-override:focus,
+      #pge-overlay-filter:focus,
+      #pge-editor-modal .pge-translator-select:focus {
         box-shadow: 0 0 0 3px rgba(102, 126, 234, 0.3);
       }
-      #pge-locale-override:disabled {
+      #pge-locale-override:disabled,
+      #pge-overlay-filter:disabled {
         opacity: 0.6;
         cursor: default;
       }
+      #pge-key-search {
+        width: 100%;
+        box-sizing: border-box;
+        padding: 8px 10px;
+        border: 2px solid #e2e8f0;
+        border-radius: 6px;
+        font-size: 14px;
+        outline: none;
+      }
+      #pge-key-search:focus {
+        border-color: #667eea;
+      }
+      #pge-key-list {
+        margin-top: 12px;
+        max-height: 400px;
+        overflow-y: auto;
+      }
+      #pge-key-list .pge-key-group summary {
+        cursor: pointer;
+        font-size: 14px;
+        font-weight: 600;
+        color: #4a5568;
+        padding: 6px 0;
+      }
+      #pge-key-list .pge-key-count {
+        font-weight: 400;
+        color: #a0aec0;
+      }
+      #pge-key-list .pge-key-row {
+        border-left: 3px solid #e2e8f0;
+        padding: 6px 10px;
+        margin: 4px 0 8px 4px;
+      }
+      #pge-key-list .pge-key-name {
+        font-size: 13px;
+        color: #2d3748;
+        margin-right: 6px;
+      }
+      #pge-key-list .pge-key-preview {
+        font-size: 13px;
+        color: #718096;
+        margin: 4px 0;
+      }
+      #pge-key-list .pge-key-badge {
+        display: inline-block;
+        font-size: 11px;
+        font-weight: 600;
+        padding: 1px 6px;
+        margin-right: 4px;
+        border-radius: 4px;
+        color: white;
+      }
+      #pge-key-list .pge-key-badge-edited { background: #16a34a; }
+      #pge-key-list .pge-key-badge-draft { background: #db2777; }
+      #pge-key-list .pge-key-badge-conflict { background: #dc2626; }
+      #pge-key-list .pge-key-badge-missing { background: #ea580c; }
+      #pge-key-list button {
+        padding: 4px 12px;
+        font-size: 12px;
+        margin: 0 6px 0 0;
+      }
+      #pge-pending-errors {
+        font-size: 13px;
+      }
+      #pge-pending-errors ul {
+        margin: 4px 0 8px 0;
+        padding-left: 20px;
+      }
+      #pge-pending-list .pge-pending-locale {
+        display: block;
+        font-size: 14px;
+        font-weight: 600;
+        color: #4a5568;
+        margin: 8px 0 4px 0;
+        cursor: pointer;
+      }
+      #pge-pending-list .pge-pending-item {
+        border-left: 3px solid #16a34a;
+        padding: 6px 10px;
+        margin: 4px 0 8px 4px;
+      }
+      #pge-pending-list .pge-pending-header {
+        display: flex;
+        align-items: center;
+        gap: 6px;
+        font-size: 13px;
+        cursor: pointer;
+      }
+      #pge-pending-list .pge-pending-conflict {
+        font-size: 11px;
+        font-weight: 600;
+        padding: 1px 6px;
+        border-radius: 4px;
+        color: white;
+        background: #dc2626;
+      }
+      #pge-pending-list .pge-pending-diff {
+        font-size: 13px;
+        color: #4a5568;
+        margin: 4px 0;
+        white-space: pre-wrap;
+        word-break: break-word;
+      }
+      #pge-pending-list .pge-diff-removed {
+        background: rgba(239, 68, 68, 0.2);
+        color: #b91c1c;
+      }
+      #pge-pending-list .pge-diff-added {
+        background: rgba(34, 197, 94, 0.2);
+        color: #15803d;
+        text-decoration: none;
+      }
+      #pge-pending-list button {
+        padding: 4px 12px;
+        font-size: 12px;
+        margin: 0 6px 0 0;
+      }
       @media (prefers-color-scheme: dark) {
         #pge-editor-modal-content {
           background: #2d3748;
@@ -209,7 +364,13 @@ export function showEditorModal() {
         #pge-editor-modal .info {
           color: #cbd5e0;
         }
-        #pge-sync-status {
+        #pge-sync-status,
+        #pge-save-status,
+        #pge-export-status,
+        #pge-changes-status,
+        #pge-translator-status,
+        #pge-spreadsheet-status,
+        #pge-import-status {
           color: #a0aec0 !important;
         }
         .pge-sync-success {
@@ -218,16 +379,47 @@ export function showEditorModal() {
         .pge-sync-error {
           color: #fc8181 !important;
         }
-        #pge-locale-override {
+        #pge-key-search {
+          background: #2d3748;
+          border-color: #4a5568;
+          color: #f7fafc;
+        }
+        #pge-key-list .pge-key-group summary,
+        #pge-key-list .pge-key-name {
+          color: #e2e8f0;
+        }
+        #pge-key-list .pge-key-row {
+          border-left-color: #4a5568;
+        }
+        #pge-key-list .pge-key-preview {
+          color: #a0aec0;
+        }
+        #pge-pending-list .pge-pending-locale,
+        #pge-pending-list .pge-pending-diff {
+          color: #e2e8f0;
+        }
+        #pge-pending-list .pge-diff-removed {
+          color: #fca5a5;
+        }
+        #pge-pending-list .pge-diff-added {
+          color: #86efac;
+        }
+        #pge-locale-override,
+        #pge-overlay-filter,
+        #pge-editor-modal .pge-translator-select {
           background: #2d3748;
           border-color: #818cf8;
           color: #818cf8;
         }
-        #pge-locale-override:hover {
+        #pge-locale-override:hover,
+        #pge-overlay-filter:hover,
+        #pge-editor-modal .pge-translator-select:hover {
           border-color: #a5b4fc;
           color: #a5b4fc;
         }
-        #pge-locale-override:focus {
+        #pge-locale-override:focus,
+        #pge-overlay-filter:focus,
+        #pge-editor-modal .pge-translator-select:focus {
           box-shadow: 0 0 0 3px rgba(129, 140, 248, 0.3);
         }
       }
@@ -246,6 +438,16 @@ export function showEditorModal() {
         <label class="info" style="display: flex; align-items: center; gap: 8px; cursor: pointer; margin-top: 4px;">
           <input type="checkbox" id="pge-on-top-toggle"> Always on top
         </label>
+        <p class="info">
+          <strong>Show:</strong> <select id="pge-overlay-filter">
+            <option value="all">All translations</option>
+            <option value="missing">Missing in this language</option>
+            <option value="untranslated">Same as base language</option>
+            <option value="draft">Unsaved drafts</option>
+            <option value="edited">Edited</option>
+            <option value="conflict">Conflicts</option>
+          </select>
+        </p>
       </div>
 
       <div class="section">
@@ -254,7 +456,7 @@ export function showEditorModal() {
           <strong>Active language:</strong> <span id="pge-current-locale" style="color: #667eea; font-weight: 600;"></span>
         </p>
         <p class="info">
-          <strong>Language override:</strong> <select id="pge-locale-override"></select>
+          <strong>Switch language:</strong> <select id="pge-locale-override"></select>
         </p>
         <p class="info">
           <strong>Select languages to edit:</strong> <span id="pge-locale-checkboxes" style="display: inline-flex; gap: 12px; margin-left: 8px;"></span>
@@ -264,6 +466,21 @@ export function showEditorModal() {
         </p>
       </div>
 
+      <div class="category-title">Translations</div>
+
+      <div class="section">
+        <h3>Key Browser</h3>
+        <p class="info">Search every message by key or text, in all languages, including keys not shown on this page.</p>
+        <input type="search" id="pge-key-search" placeholder="Search keys and translations...">
+        <div id="pge-key-list"></div>
+      </div>
+
+      <div class="section">
+        <h3>Grid Editor</h3>
+        <p class="info">Edit every key in every language in a spreadsheet view. Paste blocks of cells straight from Excel or Google Sheets.</p>
+        <button id="pge-grid-editor-btn">Open Grid Editor</button>
+      </div>
+
       <div class="category-title">Database</div>
 
       <div class="section">
@@ -279,10 +496,69 @@ export function showEditorModal() {
         <div id="pge-conflict-list" style="margin-top: 12px; max-height: 300px; overflow-y: auto;"></div>
       </div>
 
+      <div class="section" id="pge-save-section">
+        <h3>Save to Project</h3>
+        <p class="info">Write your edits straight into the project's message files through the dev server.</p>
+        <button id="pge-save-project-btn">Save to Project</button>
+        <div id="pge-save-status" style="margin-top: 8px; font-size: 13px; color: #4a5568;"></div>
+      </div>
+
+      <div class="section">
+        <h3>Pending Changes (<span id="pge-pending-count" style="font-weight: 700;">0</span>)</h3>
+        <div id="pge-pending-errors"></div>
+        <p class="info">Review every local edit against the server version. Untick a change to leave it out of the export, or revert it.</p>
+        <div id="pge-pending-list" style="margin-top: 12px; max-height: 400px; overflow-y: auto;"></div>
+      </div>
+
       <div class="section">
         <h3>Download Edits (Export)</h3>
-        <p class="info">Download all your edited translations as JSON files to use in your project.</p>
-        <button onclick="window.__paraglideEditor.exportEdits()">Export Edits</button>
+        <p class="info">Download one ZIP of the message files with the changes ticked under Pending Changes, laid out like the project so it can be unzipped over it.</p>
+        <button id="pge-export-btn">Export Edits</button>
+        <div id="pge-export-status" style="margin-top: 8px; font-size: 13px; color: #4a5568;"></div>
+      </div>
+
+      <div class="section">
+        <h3>Export Changes Only</h3>
+        <p class="info">Download just what the ticked edits change: a JSON Patch (RFC 6902) per message file, or a compact delta per locale. Edits reverted since the last change export are undone.</p>
+        <button id="pge-patch-export-btn">Export JSON Patch</button>
+        <button id="pge-delta-export-btn">Export Delta</button>
+        <div id="pge-changes-status" style="margin-top: 8px; font-size: 13px; color: #4a5568;"></div>
+      </div>
+
+      <div class="section">
+        <h3>Export for Translators</h3>
+        <p class="info">Download an XLIFF 2.0 file for CAT tools, or a gettext PO file. Params are protected as placeholders in XLIFF, and plural messages become gettext plural entries in PO.</p>
+        <p class="info">
+          <select id="pge-translator-source" class="pge-translator-select" title="Source locale"></select>
+          →
+          <select id="pge-translator-target" class="pge-translator-select" title="Target locale"></select>
+          <select id="pge-translator-scope" class="pge-translator-select">
+            <option value="all">All keys</option>
+            <option value="changed">Only changed or missing</option>
+          </select>
+          <select id="pge-translator-format" class="pge-translator-select">
+            <option value="xliff">XLIFF 2.0</option>
+            <option value="po">Gettext PO</option>
+          </select>
+        </p>
+        <button id="pge-translator-export-btn">Export for Translators</button>
+        <div id="pge-translator-status" style="margin-top: 8px; font-size: 13px; color: #4a5568;"></div>
+      </div>
+
+      <div class="section">
+        <h3>Export for Spreadsheets (CSV/TSV)</h3>
+        <p class="info">Download every key with one column per language, for review in Excel or Google Sheets. Variant messages get one row per variant.</p>
+        <button id="pge-csv-export-btn">Export CSV</button>
+        <button id="pge-tsv-export-btn">Export TSV</button>
+        <div id="pge-spreadsheet-status" style="margin-top: 8px; font-size: 13px; color: #4a5568;"></div>
+      </div>
+
+      <div class="section">
+        <h3>Import Translations</h3>
+        <p class="info">Load translated files (<code>{locale}.json</code>, one JSON keyed by locale, XLIFF 2.0, gettext PO, CSV or TSV) as local edits. You can review every change before it is applied.</p>
+        <input type="file" id="pge-import-input" accept=".json,.xlf,.xliff,.po,.csv,.tsv" multiple hidden>
+        <button id="pge-import-btn">Import Files...</button>
+        <div id="pge-import-status" style="margin-top: 8px; font-size: 13px; color: #4a5568;"></div>
       </div>
 
       <div class="category-title">About</div>
@@ -310,6 +586,8 @@ export function showEditorModal() {
   }
 
   function handleEscKey(e) {
+    // Escape closes an edit popup or import preview opened from the modal first
+    if (document.getElementById('pge-edit-popup') || document.getElementById('pge-import-preview')) return;
     if (e.key === 'Escape') closeModal();
   }
 
@@ -357,6 +635,22 @@ export function showEditorModal() {
     });
   }
 
+  const overlayFilter = modal.querySelector('#pge-overlay-filter');
+  if (overlayFilter && window.__paraglideEditor.setOverlayFilter) {
+    overlayFilter.value = getOverlayFilter();
+    overlayFilter.addEventListener('change', () => {
+      window.__paraglideEditor.setOverlayFilter(overlayFilter.value);
+    });
+  }
+
+  const gridEditorBtn = modal.querySelector('#pge-grid-editor-btn');
+  if (gridEditorBtn) {
+    gridEditorBtn.addEventListener('click', () => {
+      closeModal();
+      showGridEditor();
+    });
+  }
+
   const syncBtn = modal.querySelector('#pge-sync-btn');
   const syncStatus = modal.querySelector('#pge-sync-status');
   if (syncBtn) {
@@ -392,16 +686,202 @@ export function showEditorModal() {
     });
   }
 
+  const exportBtn = modal.querySelector('#pge-export-btn');
+  const exportStatus = modal.querySelector('#pge-export-status');
+  if (exportBtn) {
+    exportBtn.addEventListener('click', async () => {
+      exportBtn.disabled = true;
+      exportStatus.textContent = '';
+      exportStatus.className = '';
+
+      try {
+        const { file, files, edits } = await exportEdits();
+        exportStatus.textContent = file
+          ? `Exported ${edits} edits in ${file} (${files.length} message files)`
+          : 'No edits to export';
+        exportStatus.className = 'pge-sync-success';
+        clearFailedEdits('Export');
+      } catch (error) {
+        exportStatus.textContent = `Error: ${error.message}`;
+        exportStatus.className = 'pge-sync-error';
+        await reportFailure('Export', error, true);
+      } finally {
+        exportBtn.disabled = false;
+      }
+    });
+  }
+
+  const changesStatus = modal.querySelector('#pge-changes-status');
+  for (const format of ['patch', 'delta']) {
+    const button = modal.querySelector(`#pge-${format}-export-btn`);
+    button?.addEventListener('click', async () => {
+      button.disabled = true;
+      changesStatus.textContent = '';
+      changesStatus.className = '';
+
+      try {
+        const { file, changes, reverted } = await exportChanges({ format });
+        changesStatus.textContent = file
+          ? `Exported ${changes} changes in ${file}${reverted > 0 ? ` (${reverted} reverted)` : ''}`
+          : 'No changes to export';
+        changesStatus.className = 'pge-sync-success';
+        clearFailedEdits('Change export');
+      } catch (error) {
+        changesStatus.textContent = `Error: ${error.message}`;
+        changesStatus.className = 'pge-sync-error';
+        await reportFailure('Change export', error, true);
+      } finally {
+        button.disabled = false;
+      }
+    });
+  }
+
+  const translatorSource = modal.querySelector('#pge-translator-source');
+  const translatorTarget = modal.querySelector('#pge-translator-target');
+  const translatorScope = modal.querySelector('#pge-translator-scope');
+  const translatorFormat = modal.querySelector('#pge-translator-format');
+  const translatorBtn = modal.querySelector('#pge-translator-export-btn');
+  const translatorStatus = modal.querySelector('#pge-translator-status');
+  if (translatorBtn) {
+    const locales = Object.keys(getServerTranslations() || {});
+    const sourceLocale = getBaseLocale() ?? locales[0];
+    for (const select of [translatorSource, translatorTarget]) {
+      locales.forEach(locale => select.add(new Option(locale, locale)));
+    }
+    translatorSource.value = sourceLocale;
+    translatorTarget.value = locales.find(locale => locale !== sourceLocale) ?? sourceLocale;
+
+    translatorBtn.addEventListener('click', async () => {
+      translatorBtn.disabled = true;
+      translatorStatus.textContent = '';
+      translatorStatus.className = '';
+
+      try {
+        const exportForTranslators = translatorFormat.value === 'po' ? exportPo : exportXliff;
+        const { file, keys } = await exportForTranslators({
+          sourceLocale: translatorSource.value,
+          targetLocale: translatorTarget.value,
+          scope: translatorScope.value,
+        });
+        translatorStatus.textContent = file ? `Exported ${keys} keys in ${file}` : 'No keys to export';
+        translatorStatus.className = 'pge-sync-success';
+      } catch (error) {
+        translatorStatus.textContent = `Error: ${error.message}`;
+        translatorStatus.className = 'pge-sync-error';
+      } finally {
+        translatorBtn.disabled = false;
+      }
+    });
+  }
+
+  const spreadsheetStatus = modal.querySelector('#pge-spreadsheet-status');
+  for (const format of ['csv', 'tsv']) {
+    const button = modal.querySelector(`#pge-${format}-export-btn`);
+    button?.addEventListener('click', async () => {
+      button.disabled = true;
+      spreadsheetStatus.textContent = '';
+      spreadsheetStatus.className = '';
+
+      try {
+        const { file, keys } = await exportSpreadsheet({ format });
+        spreadsheetStatus.textContent = `Exported ${keys} keys in ${file}`;
+        spreadsheetStatus.className = 'pge-sync-success';
+      } catch (error) {
+        spreadsheetStatus.textContent = `Error: ${error.message}`;
+        spreadsheetStatus.className = 'pge-sync-error';
+      } finally {
+        button.disabled = false;
+      }
+    });
+  }
+
+  const importBtn = modal.querySelector('#pge-import-btn');
+  const importInput = modal.querySelector('#pge-import-input');
+  const importStatus = modal.querySelector('#pge-import-status');
+  if (importBtn && importInput) {
+    importBtn.addEventListener('click', () => importInput.click());
+    importInput.addEventListener('change', async () => {
+      if (importInput.files.length === 0) return;
+      importStatus.textContent = '';
+      importStatus.className = '';
+
+      try {
+        const { messages, errors } = await readImportFiles(importInput.files);
+        const plan = planImport(messages);
+        if (plan.changes.length === 0 && errors.length === 0 && plan.invalid.length === 0) {
+          importStatus.textContent = `Nothing to import: ${plan.unchanged} messages already up to date`;
+          importStatus.className = 'pge-sync-success';
+        } else {
+          showImportPreview(plan, errors, {
+            onApplied: (count) => {
+              importStatus.textContent = `Imported ${count} edits`;
+              importStatus.className = 'pge-sync-success';
+            },
+          });
+        }
+      } catch (error) {
+        console.error('[paraglide-editor] Import failed:', error);
+        importStatus.textContent = `Error: ${error.message}`;
+        importStatus.className = 'pge-sync-error';
+      } finally {
+        // Picking the same file again must fire another change event
+        importInput.value = '';
+      }
+    });
+  }
+
+  const saveSection = modal.querySelector('#pge-save-section');
+  const saveProjectBtn = modal.querySelector('#pge-save-project-btn');
+  const saveStatus = modal.querySelector('#pge-save-status');
+  if (!getSaveUrl()) {
+    saveSection?.remove();
+  } else if (saveProjectBtn) {
+    saveProjectBtn.addEventListener('click', async () => {
+      saveProjectBtn.disabled = true;
+      saveProjectBtn.innerHTML = '<span class="pge-spinner"></span>Saving...';
+      saveStatus.textContent = '';
+      saveStatus.className = '';
+
+      try {
+        const { locales, keys } = await saveEditsToProject();
+        saveStatus.textContent = keys > 0
+          ? `Saved ${keys} edits across ${locales} locales`
+          : 'No edits to save';
+        saveStatus.className = 'pge-sync-success';
+        clearFailedEdits('Save to project');
+        await initConflictList();
+      } catch (error) {
+        console.error('[paraglide-editor] Save to project failed:', error);
+        saveStatus.textContent = `Error: ${error.message}`;
+        saveStatus.className = 'pge-sync-error';
+        await reportFailure('Save to project', error, false);
+      } finally {
+        saveProjectBtn.disabled = false;
+        saveProjectBtn.innerHTML = 'Save to Project';
+      }
+    });
+  }
+
   initLanguageSelector();
 
   initConflictList();
 
+  initKeyBrowser({ onLocate: closeModal });
+
+  initPendingChanges({ onLocate: closeModal });
+
   window.addEventListener('__paraglideEditorLanguageChange', handleLanguageChange);
 }
 
 if (typeof window !== 'undefined') {
   window.__paraglideEditor = window.__paraglideEditor || {};
   window.__paraglideEditor.exportEdits = exportEdits;
+  window.__paraglideEditor.exportChanges = exportChanges;
+  window.__paraglideEditor.exportXliff = exportXliff;
+  window.__paraglideEditor.exportPo = exportPo;
+  window.__paraglideEditor.exportSpreadsheet = exportSpreadsheet;
+  window.__paraglideEditor.saveEditsToProject = saveEditsToProject;
   window.__paraglideEditor.syncWithServer = syncWithServer;
   window.__paraglideEditor.refreshConflictList = initConflictList;
+  window.__paraglideEditor.openGridEditor = showGridEditor;
 }
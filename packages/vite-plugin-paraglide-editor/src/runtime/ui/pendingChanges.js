@@ -0,0 +1,324 @@
+/**
+ * Pending Changes UI Component
+ *
+ * Purpose: Review every local edit before exporting it.
+ *
+ * Responsibilities:
+ * - List all edited records, grouped by locale
+ * - Show a word diff of each edit against the server value
+ * - Include or exclude edits from exports
+ * - Revert single edits and locate their elements on the page
+ * - List the edits whose last save or export failed, next to the count
+ *
+ * This module does NOT:
+ * - Export files (see export.js)
+ * - Store which edits are excluded (see exportSelection.js)
+ * - Resolve conflicts (see conflictList.js)
+ */
+
+import { getEditedTranslations, revertTranslationEdit } from '../db.js';
+import { getTranslationVersions, onDataStoreChange, updateLocalCache } from '../dataStore.js';
+import { isEditIncluded, setEditIncluded } from '../exportSelection.js';
+import { findElementsByKey, locateElementsByKey, refreshElementsByKey } from '../overlay.js';
+import { escapeHtml } from './dom.js';
+
+// Word diffs are quadratic; longer texts are shown as a whole replacement
+const MAX_DIFF_CELLS = 250000;
+
+// Failed saves and exports, shown above the list until they succeed
+const failures = new Map(); // action -> { message, edits: Map<locale:key, { locale, key }> }
+
+/**
+ * Turn a stored value into diffable text. Variant messages become one
+ * `selector: text` line per variant.
+ *
+ * @param {*} value - Server value or edited value (variants may be a JSON string)
+ * @returns {string}
+ */
+function toDiffText(value) {
+  let parsed = value;
+  if (typeof value === 'string') {
+    try {
+      parsed = JSON.parse(value);
+    } catch {
+      return value;
+    }
+  }
+
+  if (Array.isArray(parsed) && parsed[0]?.match) {
+    return Object.entries(parsed[0].match)
+      .map(([form, text]) => `${form}: ${text}`)
+      .join('\n');
+  }
+
+  return typeof value === 'string' ? value : JSON.stringify(value ?? '');
+}
+
+/**
+ * Diff two texts word by word.
+ *
+ * @param {string} before - Server text
+ * @param {string} after - Edited text
+ * @returns {Array<{ type: 'same'|'removed'|'added', text: string }>}
+ */
+export function diffWords(before, after) {
+  const a = before.split(/(\s+)/).filter(Boolean);
+  const b = after.split(/(\s+)/).filter(Boolean);
+
+  if (a.length * b.length > MAX_DIFF_CELLS) {
+    return [{ type: 'removed', text: before }, { type: 'added', text: after }];
+  }
+
+  // Longest common subsequence lengths, from the end of both token lists
+  const lcs = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const parts = [];
+  const push = (type, text) => {
+    const last = parts[parts.length - 1];
+    if (last?.type === type) last.text += text;
+    else parts.push({ type, text });
+  };
+
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      push('same', a[i]);
+      i++;
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      push('removed', a[i++]);
+    } else {
+      push('added', b[j++]);
+    }
+  }
+  while (i < a.length) push('removed', a[i++]);
+  while (j < b.length) push('added', b[j++]);
+
+  return parts;
+}
+
+/**
+ * Render a word diff between two stored values as HTML.
+ *
+ * @param {*} serverValue - Value before the change
+ * @param {*} editedValue - Value after the change
+ * @returns {string} Escaped HTML with `<del>`/`<ins>` marks
+ */
+export function diffHTML(serverValue, editedValue) {
+  return diffWords(toDiffText(serverValue), toDiffText(editedValue))
+    .map(({ type, text }) => {
+      if (type === 'removed') return `<del class="pge-diff-removed">${escapeHtml(text)}</del>`;
+      if (type === 'added') return `<ins class="pge-diff-added">${escapeHtml(text)}</ins>`;
+      return escapeHtml(text);
+    })
+    .join('');
+}
+
+function renderFailures() {
+  const container = document.getElementById('pge-pending-errors');
+  if (!container) return;
+
+  container.innerHTML = [...failures].map(([action, { message, edits }]) => `
+    <div class="pge-sync-error">
+      <strong>${escapeHtml(action)} failed:</strong> ${escapeHtml(message)}
+      <ul>
+        ${[...edits.values()].map(({ locale, key }) => `<li>${escapeHtml(locale)}: <code>${escapeHtml(key)}</code></li>`).join('')}
+      </ul>
+    </div>
+  `).join('');
+}
+
+/**
+ * Show that an action failed for some edits. The edits are added to those
+ * already listed for the action, and the message replaces the previous one.
+ *
+ * @param {string} action - What failed (e.g. `'Save'`, `'Export'`)
+ * @param {Array<{ locale: string, key: string }>} edits - Edits the action was applied to
+ * @param {Error} error - The failure
+ */
+export function reportFailedEdits(action, edits, error) {
+  const failure = failures.get(action) ?? { edits: new Map() };
+  failure.message = error?.message || String(error);
+  for (const { locale, key } of edits) {
+    failure.edits.set(`${locale}:${key}`, { locale, key });
+  }
+  failures.set(action, failure);
+  renderFailures();
+}
+
+/**
+ * Stop listing edits for an action, after it succeeded.
+ *
+ * @param {string} action - Action passed to reportFailedEdits()
+ * @param {Array<{ locale: string, key: string }>} [edits] - Edits that succeeded; all of them when omitted
+ */
+export function clearFailedEdits(action, edits) {
+  const failure = failures.get(action);
+  if (!failure) return;
+
+  if (edits) {
+    edits.forEach(({ locale, key }) => failure.edits.delete(`${locale}:${key}`));
+  }
+  if (!edits || failure.edits.size === 0) {
+    failures.delete(action);
+  }
+  renderFailures();
+}
+
+async function revertEdit(edit) {
+  const { server } = getTranslationVersions(edit.locale, edit.key);
+  await revertTranslationEdit(edit.locale, edit.key, 'pending-changes');
+  updateLocalCache(edit.locale, edit.key, server, false, false);
+  setEditIncluded(edit.locale, edit.key, true);
+  refreshElementsByKey(edit.key);
+  console.debug(`[paraglide-editor] Reverted ${edit.key} (${edit.locale}) from pending changes`);
+}
+
+function createChangeItem(edit, options) {
+  const { server } = getTranslationVersions(edit.locale, edit.key);
+
+  const item = document.createElement('div');
+  item.className = 'pge-pending-item';
+  item.innerHTML = `
+    <label class="pge-pending-header">
+      <input type="checkbox" class="pge-pending-include" ${isEditIncluded(edit.locale, edit.key) ? 'checked' : ''}>
+      <code>${escapeHtml(edit.key)}</code>
+      ${edit.hasConflict ? '<span class="pge-pending-conflict">conflict</span>' : ''}
+    </label>
+    <div class="pge-pending-diff">${diffHTML(server, edit.editedValue)}</div>
+    <div>
+      <button class="pge-pending-revert secondary">Revert</button>
+      <button class="pge-pending-locate secondary">Jump to element</button>
+    </div>
+  `;
+
+  item.querySelector('.pge-pending-include').addEventListener('change', (e) => {
+    setEditIncluded(edit.locale, edit.key, e.target.checked);
+    options.onSelectionChange();
+  });
+
+  const revertBtn = item.querySelector('.pge-pending-revert');
+  revertBtn.addEventListener('click', async () => {
+    revertBtn.disabled = true;
+    try {
+      await revertEdit(edit);
+    } catch (error) {
+      console.error('[paraglide-editor] Failed to revert edit:', error);
+      revertBtn.disabled = false;
+    }
+  });
+
+  const locateBtn = item.querySelector('.pge-pending-locate');
+  if (findElementsByKey(edit.key).length === 0) {
+    locateBtn.disabled = true;
+    locateBtn.title = 'Not rendered on this page';
+  }
+  locateBtn.addEventListener('click', () => {
+    options.onLocate?.();
+    locateElementsByKey(edit.key);
+  });
+
+  return item;
+}
+
+async function renderPendingChanges(listContainer, options) {
+  const edits = await getEditedTranslations();
+
+  const byLocale = new Map();
+  for (const edit of edits.sort((a, b) => a.key.localeCompare(b.key))) {
+    if (!byLocale.has(edit.locale)) byLocale.set(edit.locale, []);
+    byLocale.get(edit.locale).push(edit);
+  }
+
+  listContainer.innerHTML = '';
+
+  if (edits.length === 0) {
+    listContainer.innerHTML = '<p class="info">No local edits</p>';
+  }
+
+  for (const [locale, localeEdits] of [...byLocale].sort(([a], [b]) => a.localeCompare(b))) {
+    const group = document.createElement('div');
+    group.className = 'pge-pending-group';
+    group.innerHTML = `
+      <label class="pge-pending-locale">
+        <input type="checkbox" class="pge-pending-include-all"> ${escapeHtml(locale)} (${localeEdits.length})
+      </label>
+    `;
+
+    const items = localeEdits.map(edit => createChangeItem(edit, options));
+    group.append(...items);
+
+    // Locale checkbox reflects and toggles all of its edits
+    const includeAll = group.querySelector('.pge-pending-include-all');
+    const boxes = items.map(item => item.querySelector('.pge-pending-include'));
+    const syncIncludeAll = () => {
+      const checked = boxes.filter(box => box.checked).length;
+      includeAll.checked = checked === boxes.length;
+      includeAll.indeterminate = checked > 0 && checked < boxes.length;
+    };
+    syncIncludeAll();
+    boxes.forEach(box => box.addEventListener('change', syncIncludeAll));
+    includeAll.addEventListener('change', () => {
+      localeEdits.forEach(edit => setEditIncluded(edit.locale, edit.key, includeAll.checked));
+      boxes.forEach(box => { box.checked = includeAll.checked; });
+      syncIncludeAll();
+      options.onSelectionChange();
+    });
+
+    listContainer.appendChild(group);
+  }
+
+  options.onSelectionChange();
+}
+
+/**
+ * Set up the pending changes list inside the editor modal.
+ *
+ * @param {Object} [options]
+ * @param {Function} [options.onLocate] - Called before scrolling to a key's elements
+ */
+export function initPendingChanges({ onLocate } = {}) {
+  const listContainer = document.getElementById('pge-pending-list');
+  if (!listContainer) {
+    console.warn('[paraglide-editor] Pending changes container not found');
+    return;
+  }
+
+  const options = {
+    onLocate,
+    // Keep the section's counts in step with the checkboxes
+    onSelectionChange: () => {
+      const total = listContainer.querySelectorAll('.pge-pending-include').length;
+      const included = listContainer.querySelectorAll('.pge-pending-include:checked').length;
+      const count = document.getElementById('pge-pending-count');
+      if (count) count.textContent = included === total ? `${total}` : `${included} of ${total}`;
+    },
+  };
+
+  let renderScheduled = false;
+  const unsubscribe = onDataStoreChange(() => {
+    if (!listContainer.isConnected) {
+      unsubscribe();
+      return;
+    }
+    if (renderScheduled) return;
+    renderScheduled = true;
+    queueMicrotask(() => {
+      renderScheduled = false;
+      renderPendingChanges(listContainer, options).catch(error => {
+        console.error('[paraglide-editor] Failed to load pending changes:', error);
+      });
+    });
+  });
+
+  renderPendingChanges(listContainer, options).catch(error => {
+    console.error('[paraglide-editor] Failed to load pending changes:', error);
+  });
+  renderFailures();
+}
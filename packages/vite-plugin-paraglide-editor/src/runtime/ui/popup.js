@@ -6,6 +6,7 @@
  * - popupHTML.js: HTML generation
  * - popupPositioning.js: Positioning logic
  * - popupHandlers.js: Event handlers
+ * - popupHistory.js: History tab
  * - dom.js: Common DOM utilities
  *
  * This file orchestrates all the pieces into a cohesive edit popup.
@@ -14,8 +15,9 @@
 
 import { preparePopupData } from './popupData.js';
 import { generatePopupHTML, generateSlotContentHTML } from './popupHTML.js';
-import { positionPopup, setupAnchor } from './popupPositioning.js';
+import { positionPopup, setupAnchor, centerAnchor } from './popupPositioning.js';
 import { setupVariantControls, setupRevertButtons, setupSaveHandler, setupMultiSlotSaveHandler } from './popupHandlers.js';
+import { renderHistory } from './popupHistory.js';
 import {
   createOrReplaceElement,
   setupEscapeKey,
@@ -25,6 +27,9 @@ import {
   escapeHtml
 } from './dom.js';
 import { getElementSlots } from '../registry.js';
+import { getTranslationVersions } from '../dataStore.js';
+import { updateDraft } from '../drafts.js';
+import { refreshElementsByKey } from '../overlay.js';
 
 /**
  * Capture current textarea values from the DOM into the slotEdits map.
@@ -89,21 +94,24 @@ function restoreSlotEdits(contentContainer, slotName, slotEdits, slotPopupData)
  * Create and show the edit popup
  * Main entry point - orchestrates all modules.
  * Supports multi-slot elements when activeSlot is provided.
+ * Without an element (keys opened from the key browser), the popup is
+ * centered in the viewport.
  *
- * @param {HTMLElement} element - The clicked element
+ * @param {HTMLElement|null} element - The clicked element, or null
  * @param {string} key - Translation key (of the active slot)
  * @param {Object} params - Translation parameters (of the active slot)
  * @param {string} currentText - Current text content
  * @param {string} [initialActiveSlot] - Which slot to show first (e.g. '_text' or 'title')
+ * @param {'edit'|'history'} [initialTab] - Which tab to show first
  *
  * @example
  * await createEditPopup(element, 'greeting', {name: 'John'}, 'Hello, John!', '_text');
  */
-export async function createEditPopup(element, key, params, currentText, initialActiveSlot) {
+export async function createEditPopup(element, key, params, currentText, initialActiveSlot, initialTab = 'edit') {
   console.debug('[paraglide-editor] Creating edit popup for:', { key, params, currentText, initialActiveSlot });
 
   // Read all slots from element
-  const slots = getElementSlots(element);
+  const slots = element ? getElementSlots(element) : null;
   const slotNames = slots ? Object.keys(slots) : [initialActiveSlot || '_text'];
   const hasMultipleSlots = slotNames.length > 1;
 
@@ -154,24 +162,55 @@ export async function createEditPopup(element, key, params, currentText, initial
     activeSlot: hasMultipleSlots ? activeSlotName : null,
   });
 
-  setupAnchor(anchor, element);
+  if (element) {
+    setupAnchor(anchor, element);
 
-  requestAnimationFrame(() => {
-    const position = positionPopup(popup, anchor, element);
-    Object.assign(popup.style, position);
-  });
+    requestAnimationFrame(() => {
+      const position = positionPopup(popup, anchor, element);
+      Object.assign(popup.style, position);
+    });
+  } else {
+    centerAnchor(anchor);
+  }
 
-  const close = () => {
+  const close = ({ discardDrafts = false } = {}) => {
+    const draftKeys = keepDrafts(discardDrafts);
     anchor.remove();
     cleanup();
+    for (const draftKey of draftKeys) {
+      refreshElementsByKey(draftKey);
+    }
   };
 
+  /**
+   * Keep unsaved text as drafts, and drop drafts that now match the saved
+   * value (after a save or revert) or that the user discarded with Cancel.
+   * @param {boolean} discard - Drop the drafts of every slot shown
+   * @returns {Set<string>} Keys whose drafts changed
+   */
+  function keepDrafts(discard) {
+    captureSlotEdits(slotContentEl, activeSlotName, slotEdits, slotPopupData);
+
+    const changedKeys = new Set();
+    for (const [slotName, editData] of Object.entries(slotEdits)) {
+      if (editData.isPlural || !editData.simple) continue;
+
+      const slotKey = slotPopupData[slotName].key;
+      for (const [locale, value] of Object.entries(editData.simple)) {
+        const saved = getTranslationVersions(locale, slotKey).current;
+        if (typeof saved !== 'string') continue;
+        if (updateDraft(locale, slotKey, discard ? saved : value, saved)) changedKeys.add(slotKey);
+      }
+    }
+    return changedKeys;
+  }
+
   const cleanupEsc = setupEscapeKey(close);
   const cleanupClickOutside = setupClickOutside(anchor, close);
   const cleanup = createCleanup(cleanupEsc, cleanupClickOutside);
 
   const cancelBtn = popup.querySelector('#pge-cancel-btn');
-  cancelBtn.addEventListener('click', close);
+  cancelBtn.addEventListener('click', () => close({ discardDrafts: true }));
 
   // Setup handlers for the initial slot's content
   const slotContentEl = popup.querySelector('#pge-slot-content');
@@ -179,6 +218,39 @@ export async function createEditPopup(element, key, params, currentText, initial
   setupVariantControls(popup, languageInputs, isPlural);
   setupRevertButtons(popup);
 
+  // --- Edit / History tabs ---
+  const historyEl = popup.querySelector('#pge-history-content');
+  const buttonsEl = popup.querySelector('.pge-buttons');
+  let activeTab = 'edit';
+
+  /**
+   * Show the edit form or the history of the active slot's key. Restoring a
+   * version reopens the popup on the history tab, with the restored value.
+   */
+  async function showTab(tab) {
+    activeTab = tab;
+    popup.querySelectorAll('.pge-tab').forEach(tabBtn => {
+      tabBtn.classList.toggle('pge-tab-active', tabBtn.dataset.tab === tab);
+    });
+    slotContentEl.style.display = tab === 'edit' ? '' : 'none';
+    buttonsEl.style.display = tab === 'edit' ? '' : 'none';
+    historyEl.style.display = tab === 'history' ? '' : 'none';
+
+    if (tab === 'history') {
+      const { key: slotKey, selectedLanguages } = slotPopupData[activeSlotName];
+      await renderHistory(historyEl, slotKey, selectedLanguages, {
+        onRestored: () => {
+          close({ discardDrafts: true });
+          createEditPopup(element, key, params, currentText, activeSlotName, 'history');
+        },
+      });
+    }
+  }
+
+  popup.querySelectorAll('.pge-tab').forEach(tabBtn => {
+    tabBtn.addEventListener('click', () => showTab(tabBtn.dataset.tab));
+  });
+
   if (hasMultipleSlots) {
     // --- Multi-slot navigation ---
 
@@ -244,6 +316,11 @@ export async function createEditPopup(element, key, params, currentText, initial
         chip.classList.toggle('pge-slot-active', chip.dataset.slot === newSlotName);
       });
 
+      if (activeTab === 'history') {
+        await showTab('history');
+        return;
+      }
+
       focusFirstInput(popup, '.pge-edit-textarea');
     }
 
@@ -277,7 +354,11 @@ export async function createEditPopup(element, key, params, currentText, initial
     setupSaveHandler(popup, languageInputs, key, isPlural, close);
   }
 
-  focusFirstInput(popup, '.pge-edit-textarea');
+  if (initialTab === 'history') {
+    await showTab('history');
+  } else {
+    focusFirstInput(popup, '.pge-edit-textarea');
+  }
 
   console.debug('[paraglide-editor] ✓ Edit popup created and ready');
 }
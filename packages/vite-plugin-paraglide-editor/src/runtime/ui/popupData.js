@@ -8,11 +8,12 @@
 import { getTranslationVersions } from '../dataStore.js';
 import { getCurrentLocale } from '../languageDetection.js';
 import { getSelectedLanguages } from '../helpers.js';
+import { getDraft } from '../drafts.js';
 import { detectActiveVariant, parseVariantStructure } from '../variants.js';
 
 /**
  * Build language input data for all selected languages
- * Gets both server and edited versions from dataStore
+ * Gets both server and edited versions from dataStore, plus unsaved drafts
  *
  * @param {string} key - Translation key
  * @param {string[]} selectedLanguages - Languages to include (sorted with current first)
@@ -34,12 +35,16 @@ export function buildLanguageInputData(key, selectedLanguages) {
       pluralData = JSON.parse(JSON.stringify(pluralData));
     }
 
+    // Unsaved text from a previous popup takes the place of the saved value
+    const draft = pluralData ? null : getDraft(locale, key);
+
     const entry = {
       locale,
       isCurrent: locale === currentLocale,
       pluralData,
-      displayValue,
+      displayValue: draft ?? displayValue,
       isEdited: versions.isEdited,
+      hasDraft: draft !== null,
       serverValue: versions.server
     };
 
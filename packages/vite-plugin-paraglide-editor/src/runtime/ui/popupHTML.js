@@ -62,9 +62,11 @@ export function generateSimpleInput(input, index) {
   const currentValue = typeof input.displayValue === 'string' ? input.displayValue : '';
   const showRevert = currentValue !== serverValue;
 
-  const editIndicator = input.isEdited
-    ? '<span style="color: #48bb78; font-size: 11px; margin-left: 4px;">✓ Edited</span>'
-    : '';
+  const editIndicator = input.hasDraft
+    ? '<span style="color: #db2777; font-size: 11px; margin-left: 4px;">✎ Draft</span>'
+    : input.isEdited
+      ? '<span style="color: #48bb78; font-size: 11px; margin-left: 4px;">✓ Edited</span>'
+      : '';
 
   return `
     <div class="pge-lang-row">
@@ -417,6 +419,91 @@ export function getPopupStyles() {
       #pge-edit-popup .pge-next:hover {
         background: #e2e8f0;
       }
+      /* Edit / History tabs */
+      #pge-edit-popup .pge-tabs {
+        display: flex;
+        gap: 4px;
+        margin-bottom: 16px;
+        border-bottom: 1px solid #e2e8f0;
+      }
+      #pge-edit-popup .pge-tab {
+        padding: 6px 14px;
+        border-radius: 4px 4px 0 0;
+        background: none;
+        color: #718096;
+        font-size: 13px;
+        border-bottom: 2px solid transparent;
+      }
+      #pge-edit-popup .pge-tab.pge-tab-active {
+        color: #667eea;
+        border-bottom-color: #667eea;
+        font-weight: 600;
+      }
+      #pge-edit-popup .pge-history-locale {
+        display: flex;
+        align-items: flex-start;
+        gap: 12px;
+        margin-bottom: 16px;
+      }
+      #pge-edit-popup .pge-history-list {
+        flex: 1;
+        list-style: none;
+        margin: 0;
+        padding: 0;
+        border-left: 2px solid #e2e8f0;
+      }
+      #pge-edit-popup .pge-history-version {
+        padding: 6px 0 10px 12px;
+      }
+      #pge-edit-popup .pge-history-header {
+        display: flex;
+        align-items: center;
+        gap: 8px;
+        font-size: 12px;
+      }
+      #pge-edit-popup .pge-history-label {
+        font-weight: 600;
+        color: #4a5568;
+      }
+      #pge-edit-popup .pge-history-time {
+        color: #a0aec0;
+      }
+      #pge-edit-popup .pge-history-badge {
+        margin-left: auto;
+        color: #48bb78;
+        font-weight: 600;
+      }
+      #pge-edit-popup .pge-history-restore {
+        margin-left: auto;
+        padding: 2px 10px;
+        font-size: 12px;
+        background: #edf2f7;
+        color: #4a5568;
+      }
+      #pge-edit-popup .pge-history-restore:hover {
+        background: #e2e8f0;
+      }
+      #pge-edit-popup .pge-history-diff {
+        margin-top: 4px;
+        font-size: 13px;
+        color: #2d3748;
+        white-space: pre-wrap;
+        word-break: break-word;
+      }
+      #pge-edit-popup .pge-history-empty {
+        margin: 8px 0 0 0;
+        font-size: 13px;
+        color: #a0aec0;
+      }
+      #pge-edit-popup .pge-diff-removed {
+        background: #fed7d7;
+        color: #9b2c2c;
+      }
+      #pge-edit-popup .pge-diff-added {
+        background: #c6f6d5;
+        color: #276749;
+        text-decoration: none;
+      }
       /* Slot selector chips */
       #pge-edit-popup .pge-slot-selector {
         display: flex;
@@ -510,6 +597,35 @@ export function getPopupStyles() {
           background: #718096 !important;
           color: #f7fafc !important;
         }
+        #pge-edit-popup .pge-tabs,
+        #pge-edit-popup .pge-history-list {
+          border-color: #4a5568;
+        }
+        #pge-edit-popup .pge-tab.pge-tab-active {
+          color: #818cf8;
+          border-bottom-color: #818cf8;
+        }
+        #pge-edit-popup .pge-history-label {
+          color: #cbd5e0;
+        }
+        #pge-edit-popup .pge-history-diff {
+          color: #e2e8f0;
+        }
+        #pge-edit-popup .pge-history-restore {
+          background: #4a5568;
+          color: #e2e8f0;
+        }
+        #pge-edit-popup .pge-history-restore:hover {
+          background: #718096;
+        }
+        #pge-edit-popup .pge-diff-removed {
+          background: rgba(239, 68, 68, 0.25);
+          color: #fca5a5;
+        }
+        #pge-edit-popup .pge-diff-added {
+          background: rgba(34, 197, 94, 0.25);
+          color: #86efac;
+        }
         #pge-edit-popup .pge-slot-chip {
           background: #4a5568 !important;
           border-color: #718096 !important;
@@ -576,9 +692,14 @@ export function generatePopupHTML({ languageInputs, key, params, isPlural, varia
       <span id="pge-slot-attr">${attrDisplay}</span>
       ${slotSelectorHTML}
     </div>
+    <div class="pge-tabs">
+      <button class="pge-tab pge-tab-active" data-tab="edit" type="button">Edit</button>
+      <button class="pge-tab" data-tab="history" type="button">History</button>
+    </div>
     <div id="pge-slot-content">
       ${slotContentHTML}
     </div>
+    <div id="pge-history-content" style="display:none;"></div>
     <div class="pge-buttons">
       <button class="pge-cancel" id="pge-cancel-btn">Cancel</button>
       ${nextBtnHTML}
@@ -8,6 +8,7 @@
 import { saveTranslationEdit, revertTranslationEdit } from '../db.js';
 import { updateLocalCache } from '../dataStore.js';
 import { refreshElementsByKey } from '../overlay.js';
+import { clearFailedEdits, reportFailedEdits } from './pendingChanges.js';
 
 /**
  * Get the server value for a specific variant from a language input
@@ -208,6 +209,57 @@ export function setupRevertButtons(popup) {
   });
 }
 
+/**
+ * Save one translation value, or drop the edit when it matches the server value.
+ * Shared by the popup and the grid editor. A failed save is listed under
+ * Pending Changes until the key saves again.
+ *
+ * @param {string} locale - Locale code
+ * @param {string} key - Translation key
+ * @param {string} valueToSave - Text, or JSON string for variant messages
+ * @param {*} serverValue - Server value (string or variant structure)
+ * @param {string} [source] - Where the change was made, for the key's history
+ * @returns {Promise<boolean>} True when saved as an edit, false when reverted
+ */
+export async function saveTranslationValue(locale, key, valueToSave, serverValue, source = 'popup') {
+  const serverValueString = typeof serverValue === 'object'
+    ? JSON.stringify(serverValue)
+    : serverValue;
+
+  try {
+    if (valueToSave === serverValueString) {
+      console.debug(`[paraglide-editor] Reverting ${key} (${locale}) - same as server, deleting edit`);
+      await revertTranslationEdit(locale, key, source);
+      updateLocalCache(locale, key, serverValue, false, false);
+      clearFailedEdits('Save', [{ locale, key }]);
+      return false;
+    }
+
+    await saveTranslationEdit(locale, key, valueToSave, null, source);
+  } catch (error) {
+    reportFailedEdits('Save', [{ locale, key }], error);
+    throw error;
+  }
+
+  console.debug(`[paraglide-editor] ✓ Saved edit for ${key} (${locale})`);
+  updateLocalCache(locale, key, valueToSave, true, false);
+  clearFailedEdits('Save', [{ locale, key }]);
+  return true;
+}
+
+/**
+ * Keep the popup open after a failed save, with the button ready to retry.
+ * The failed edits are listed under Pending Changes.
+ *
+ * @param {HTMLButtonElement} saveBtn - Popup save button
+ * @param {number} [failedCount] - Number of values that failed to save
+ */
+function showSaveFailed(saveBtn, failedCount) {
+  saveBtn.disabled = false;
+  saveBtn.textContent = failedCount ? `Save All (${failedCount} failed)` : 'Save All (failed)';
+  saveBtn.title = 'The failed edits are listed under Pending Changes';
+}
+
 /**
  * Setup save handler for a single slot (no multi-slot logic)
  * Saves all language translations and closes popup
@@ -228,6 +280,7 @@ export function setupSaveHandler(popup, languageInputs, key, isPlural, close) {
     try {
       let savedCount = 0;
       let skippedCount = 0;
+      let failedCount = 0;
 
       for (let i = 0; i < languageInputs.length; i++) {
         const input = languageInputs[i];
@@ -247,36 +300,31 @@ export function setupSaveHandler(popup, languageInputs, key, isPlural, close) {
           valueToSave = textarea ? textarea.value : '';
         }
 
-        const serverValue = input.serverValue;
-        const serverValueString = typeof serverValue === 'object'
-          ? JSON.stringify(serverValue)
-          : serverValue;
-
-        const isReverted = valueToSave === serverValueString;
-
-        if (isReverted) {
-          console.debug(`[paraglide-editor] Reverting ${key} (${locale}) - same as server, deleting edit`);
-          await revertTranslationEdit(locale, key);
-          updateLocalCache(locale, key, serverValue, false, false);
-          skippedCount++;
-        } else {
-          await saveTranslationEdit(locale, key, valueToSave);
-          console.debug(`[paraglide-editor] ✓ Saved edit for ${key} (${locale})`);
-          updateLocalCache(locale, key, valueToSave, true, false);
-          savedCount++;
+        try {
+          if (await saveTranslationValue(locale, key, valueToSave, input.serverValue)) {
+            savedCount++;
+          } else {
+            skippedCount++;
+          }
+        } catch (error) {
+          console.error(`[paraglide-editor] Failed to save ${key} (${locale}):`, error);
+          failedCount++;
         }
       }
 
-      console.debug(`[paraglide-editor] Save summary: ${savedCount} saved, ${skippedCount} skipped (unchanged)`);
+      console.debug(`[paraglide-editor] Save summary: ${savedCount} saved, ${skippedCount} skipped (unchanged), ${failedCount} failed`);
 
       refreshElementsByKey(key);
 
+      if (failedCount > 0) {
+        showSaveFailed(saveBtn, failedCount);
+        return;
+      }
+
       close();
     } catch (error) {
       console.error('[paraglide-editor] Failed to save edits:', error);
-      saveBtn.disabled = false;
-      saveBtn.textContent = 'Save All';
-      alert('Failed to save translations. Check console for details.');
+      showSaveFailed(saveBtn);
     }
   });
 }
@@ -305,6 +353,7 @@ export function setupMultiSlotSaveHandler(popup, slotEdits, slotPopupData, captu
 
       let totalSaved = 0;
       let totalSkipped = 0;
+      let totalFailed = 0;
       const keysToRefresh = new Set();
 
       for (const [slotName, editData] of Object.entries(slotEdits)) {
@@ -334,39 +383,34 @@ export function setupMultiSlotSaveHandler(popup, slotEdits, slotPopupData, captu
             valueToSave = editData.simple?.[locale] ?? '';
           }
 
-          const serverValue = input.serverValue;
-          const serverValueString = typeof serverValue === 'object'
-            ? JSON.stringify(serverValue)
-            : serverValue;
-
-          const isReverted = valueToSave === serverValueString;
-
-          if (isReverted) {
-            console.debug(`[paraglide-editor] Reverting ${key} (${locale}) - same as server, deleting edit`);
-            await revertTranslationEdit(locale, key);
-            updateLocalCache(locale, key, serverValue, false, false);
-            totalSkipped++;
-          } else {
-            await saveTranslationEdit(locale, key, valueToSave);
-            console.debug(`[paraglide-editor] ✓ Saved edit for ${key} (${locale})`);
-            updateLocalCache(locale, key, valueToSave, true, false);
-            totalSaved++;
+          try {
+            if (await saveTranslationValue(locale, key, valueToSave, input.serverValue)) {
+              totalSaved++;
+            } else {
+              totalSkipped++;
+            }
+          } catch (error) {
+            console.error(`[paraglide-editor] Failed to save ${key} (${locale}):`, error);
+            totalFailed++;
           }
         }
       }
 
-      console.debug(`[paraglide-editor] Multi-slot save summary: ${totalSaved} saved, ${totalSkipped} skipped`);
+      console.debug(`[paraglide-editor] Multi-slot save summary: ${totalSaved} saved, ${totalSkipped} skipped, ${totalFailed} failed`);
 
       for (const key of keysToRefresh) {
         refreshElementsByKey(key);
       }
 
+      if (totalFailed > 0) {
+        showSaveFailed(saveBtn, totalFailed);
+        return;
+      }
+
       close();
     } catch (error) {
       console.error('[paraglide-editor] Failed to save multi-slot edits:', error);
-      saveBtn.disabled = false;
-      saveBtn.textContent = 'Save All';
-      alert('Failed to save translations. Check console for details.');
+      showSaveFailed(saveBtn);
     }
   });
 }
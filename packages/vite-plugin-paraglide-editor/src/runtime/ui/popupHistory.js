@@ -0,0 +1,108 @@
+/**
+ * Popup History Tab
+ *
+ * Timeline of every recorded version of a key, per language, newest first.
+ * Each version shows what changed it, a word diff against the version
+ * before, and a button to restore it.
+ */
+
+import { getTranslationHistory } from '../db.js';
+import { getTranslationVersions } from '../dataStore.js';
+import { refreshElementsByKey } from '../overlay.js';
+import { saveTranslationValue } from './popupHandlers.js';
+import { diffHTML } from './pendingChanges.js';
+import { escapeHtml } from './dom.js';
+
+const TYPE_LABELS = {
+  server: 'Server value',
+  edit: 'Edited',
+  revert: 'Reverted',
+  resolve: 'Conflict resolved',
+  sync: 'Changed on the server',
+  save: 'Saved to project',
+};
+
+const SOURCE_LABELS = {
+  popup: 'popup',
+  grid: 'grid editor',
+  import: 'import',
+  history: 'history',
+  'pending-changes': 'Pending Changes',
+};
+
+/**
+ * Stored form of a value: text, or JSON for variant messages.
+ */
+function toStoredValue(value) {
+  return typeof value === 'object' ? JSON.stringify(value) : String(value ?? '');
+}
+
+function versionHTML(version, previous, isCurrent) {
+  const source = SOURCE_LABELS[version.source] ? ` via ${SOURCE_LABELS[version.source]}` : '';
+  const time = new Date(version.timestamp).toLocaleString();
+
+  return `
+    <li class="pge-history-version${isCurrent ? ' pge-history-current' : ''}">
+      <div class="pge-history-header">
+        <span class="pge-history-label">${escapeHtml(TYPE_LABELS[version.type] || version.type)}${escapeHtml(source)}</span>
+        <span class="pge-history-time">${escapeHtml(time)}</span>
+        ${isCurrent
+          ? '<span class="pge-history-badge">Current</span>'
+          : `<button class="pge-history-restore" type="button" data-version="${version.id}">Restore</button>`}
+      </div>
+      <div class="pge-history-diff">${diffHTML(previous ? previous.value : version.value, version.value)}</div>
+    </li>
+  `;
+}
+
+/**
+ * Render the history of a key for the given languages.
+ *
+ * @param {HTMLElement} container - Element to render into
+ * @param {string} key - Translation key
+ * @param {string[]} locales - Languages shown in the popup
+ * @param {Object} [options]
+ * @param {Function} [options.onRestored] - Called with the locale after a version is restored
+ */
+export async function renderHistory(container, key, locales, { onRestored } = {}) {
+  const histories = await Promise.all(locales.map(locale => getTranslationHistory(locale, key)));
+
+  container.innerHTML = locales.map((locale, index) => {
+    const versions = histories[index];
+    const current = toStoredValue(getTranslationVersions(locale, key).current);
+    const currentIndex = versions.map(version => toStoredValue(version.value)).lastIndexOf(current);
+
+    const items = versions
+      .map((version, i) => versionHTML(version, versions[i - 1], i === currentIndex))
+      .reverse()
+      .join('');
+
+    return `
+      <div class="pge-history-locale" data-locale="${escapeHtml(locale)}">
+        <span class="pge-lang-name">${escapeHtml(locale.toUpperCase())}</span>
+        ${items
+          ? `<ol class="pge-history-list">${items}</ol>`
+          : '<p class="pge-history-empty">No changes recorded yet.</p>'}
+      </div>
+    `;
+  }).join('');
+
+  container.querySelectorAll('.pge-history-restore').forEach(button => {
+    button.addEventListener('click', async () => {
+      const locale = button.closest('.pge-history-locale').dataset.locale;
+      const version = histories[locales.indexOf(locale)].find(v => v.id === Number(button.dataset.version));
+      button.disabled = true;
+
+      try {
+        await saveTranslationValue(locale, key, toStoredValue(version.value), getTranslationVersions(locale, key).server, 'history');
+        refreshElementsByKey(key);
+        console.debug(`[paraglide-editor] Restored ${key} (${locale}) to version ${version.id}`);
+        onRestored?.(locale);
+      } catch (error) {
+        console.error('[paraglide-editor] Restore failed:', error);
+        button.disabled = false;
+        button.textContent = 'Restore failed';
+      }
+    });
+  });
+}
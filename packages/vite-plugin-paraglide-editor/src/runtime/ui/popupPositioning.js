@@ -139,3 +139,15 @@ export function setupAnchor(anchor, element) {
   anchor.style.top = `${rect.top + scrollTop}px`;
   anchor.style.left = `${rect.left + scrollLeft}px`;
 }
+
+/**
+ * Pin the anchor near the top of the viewport, so the popup (60vw wide)
+ * is centered horizontally. Used when no page element is being edited.
+ *
+ * @param {HTMLElement} anchor - Anchor element
+ */
+export function centerAnchor(anchor) {
+  anchor.style.position = 'fixed';
+  anchor.style.top = '10vh';
+  anchor.style.left = '20vw';
+}
@@ -39,7 +39,7 @@
  *     {type: 'local', name: 'ordinal', source: 'position', transform: 'plural', options: {type: 'ordinal'}}
  *   ]
  */
-function parseDeclarations(declarations = []) {
+export function parseDeclarations(declarations = []) {
   return declarations.filter(decl => decl && typeof decl === 'string').map(decl => {
     if (decl.startsWith('input ')) {
       return {
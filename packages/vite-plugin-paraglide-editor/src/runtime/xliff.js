@@ -0,0 +1,383 @@
+/**
+ * XLIFF 2.0 Export and Import
+ *
+ * Purpose: Exchange translations with CAT tools used by translation agencies.
+ *
+ * Responsibilities:
+ * - Write one source/target locale pair as an XLIFF 2.0 document
+ * - Protect message params (`{name}`) as `<ph>` placeholders
+ * - Write variant messages as a `<group>` per key with one `<unit>` per match
+ * - Read returned XLIFF back into flat messages, rebuilding variant arrays
+ * - Reject translations whose placeholders did not survive the round trip
+ *
+ * This module does NOT:
+ * - Merge edits into server translations (see export.js)
+ * - Compare or save imported messages (see import.js)
+ */
+
+import { prepareTranslatorExport, downloadFile } from './export.js';
+import { getBaseLocale } from './languageDetection.js';
+import { findLocale } from './localeMatching.js';
+import { isVariantMessage } from './messageFormat.js';
+
+const XLIFF_NS = 'urn:oasis:names:tc:xliff:document:2.0';
+
+// Same param syntax the renderer substitutes
+const PARAM_PATTERN = /\{(\w+)\}/g;
+
+// Unit and group ids must be XML name tokens
+const NMTOKEN_PATTERN = /^[\w.:-]+$/;
+
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Hand out ids that no key uses as its own id: `${prefix}1`, `${prefix}2`, ...
+ * skipping any already taken.
+ *
+ * @param {string[]} keys - Keys exported under their own id when valid
+ * @returns {(prefix: string) => string}
+ */
+function createIdAllocator(keys) {
+  const used = new Set(keys.filter(key => NMTOKEN_PATTERN.test(key)));
+  const counters = new Map();
+
+  return (prefix) => {
+    let n = counters.get(prefix) || 0;
+    let id;
+    do {
+      id = `${prefix}${++n}`;
+    } while (used.has(id));
+    counters.set(prefix, n);
+    used.add(id);
+    return id;
+  };
+}
+
+function paramNames(text) {
+  return [...text.matchAll(PARAM_PATTERN)].map(match => match[1]);
+}
+
+/**
+ * Write a unit's source and target text as inline XLIFF, with params as
+ * `<ph>` codes. The n-th `{name}` of the target reuses the id of the n-th
+ * `{name}` of the source, so CAT tools pair them up.
+ *
+ * @param {string} sourceText
+ * @param {string|undefined} targetText - Omitted when not translated yet
+ * @returns {{ originalData: string, source: string, target: string|null }}
+ */
+function writeUnitContent(sourceText, targetText) {
+  const dataRefs = new Map();
+  const sourceIds = new Map();
+  let nextId = 1;
+
+  const toInline = (text, idFor) => {
+    let xml = '';
+    let last = 0;
+    for (const match of text.matchAll(PARAM_PATTERN)) {
+      const name = match[1];
+      if (!dataRefs.has(name)) dataRefs.set(name, `d${dataRefs.size + 1}`);
+      xml += escapeXml(text.slice(last, match.index));
+      xml += `<ph id="${idFor(name)}" dataRef="${dataRefs.get(name)}" disp="${escapeXml(match[0])}"/>`;
+      last = match.index + match[0].length;
+    }
+    return xml + escapeXml(text.slice(last));
+  };
+
+  const source = toInline(sourceText, (name) => {
+    const id = nextId++;
+    sourceIds.set(name, [...(sourceIds.get(name) || []), id]);
+    return id;
+  });
+
+  const used = new Map();
+  const target = targetText === undefined ? null : toInline(targetText, (name) => {
+    const occurrence = used.get(name) || 0;
+    used.set(name, occurrence + 1);
+    return sourceIds.get(name)?.[occurrence] ?? nextId++;
+  });
+
+  const originalData = dataRefs.size === 0 ? '' : [
+    '<originalData>',
+    ...[...dataRefs].map(([name, id]) => `  <data id="${id}">{${escapeXml(name)}}</data>`),
+    '</originalData>',
+  ].join('\n');
+
+  return { originalData, source, target };
+}
+
+function writeUnit(id, name, sourceText, targetText, indent) {
+  const { originalData, source, target } = writeUnitContent(sourceText, targetText || undefined);
+  const pad = (text) => text.split('\n').map(line => `${indent}  ${line}`).join('\n');
+
+  return [
+    `${indent}<unit id="${escapeXml(id)}" name="${escapeXml(name)}">`,
+    ...(originalData ? [pad(originalData)] : []),
+    `${indent}  <segment state="${target === null ? 'initial' : 'translated'}">`,
+    `${indent}    <source>${source}</source>`,
+    ...(target === null ? [] : [`${indent}    <target>${target}</target>`]),
+    `${indent}  </segment>`,
+    `${indent}</unit>`,
+  ].join('\n');
+}
+
+/**
+ * Write a variant message as a group of units, one per match key. The
+ * target's declarations and selectors travel as notes so the import can
+ * rebuild the variant array.
+ */
+function writeVariantGroup(id, key, sourceValue, targetValue, nextId) {
+  const sourceVariant = isVariantMessage(sourceValue) ? sourceValue[0] : null;
+  const targetVariant = isVariantMessage(targetValue) ? targetValue[0] : null;
+  const shape = targetVariant || sourceVariant;
+
+  const matchKeys = [...new Set([
+    ...Object.keys(sourceVariant?.match || {}),
+    ...Object.keys(targetVariant?.match || {}),
+  ])];
+
+  const notes = [
+    ...(shape.declarations || []).map(text => `<note category="paraglide-declaration">${escapeXml(text)}</note>`),
+    ...(shape.selectors || []).map(text => `<note category="paraglide-selector">${escapeXml(text)}</note>`),
+  ];
+
+  const units = matchKeys.map((matchKey) => {
+    const sourceText = sourceVariant ? sourceVariant.match[matchKey] ?? '' : String(sourceValue ?? '');
+    return writeUnit(nextId(`${id}:`), matchKey, sourceText, targetVariant?.match[matchKey], '      ');
+  });
+
+  return [
+    `    <group id="${escapeXml(id)}" name="${escapeXml(key)}">`,
+    ...(notes.length > 0 ? ['      <notes>', ...notes.map(note => `        ${note}`), '      </notes>'] : []),
+    ...units,
+    '    </group>',
+  ].join('\n');
+}
+
+/**
+ * Build an XLIFF 2.0 document for one locale pair.
+ *
+ * @param {{ [locale: string]: Object }} translations - Merged flat messages keyed by locale
+ * @param {string} sourceLocale - Locale translators read
+ * @param {string} targetLocale - Locale translators write
+ * @param {string[]} keys - Keys to include
+ * @returns {string} XLIFF document
+ */
+export function buildXliff(translations, sourceLocale, targetLocale, keys) {
+  const source = translations[sourceLocale] || {};
+  const target = translations[targetLocale] || {};
+
+  const nextId = createIdAllocator(keys);
+
+  const entries = keys.map((key) => {
+    const id = NMTOKEN_PATTERN.test(key) ? key : nextId('k');
+    if (isVariantMessage(source[key]) || isVariantMessage(target[key])) {
+      return writeVariantGroup(id, key, source[key], target[key], nextId);
+    }
+    const targetText = typeof target[key] === 'string' ? target[key] : undefined;
+    return writeUnit(id, key, String(source[key] ?? ''), targetText, '    ');
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<xliff xmlns="${XLIFF_NS}" version="2.0" srcLang="${escapeXml(sourceLocale)}" trgLang="${escapeXml(targetLocale)}">`,
+    '  <file id="messages">',
+    ...entries,
+    '  </file>',
+    '</xliff>',
+    '',
+  ].join('\n');
+}
+
+/**
+ * Download an XLIFF file for translators: the server translations merged
+ * with the edits included under Pending Changes.
+ *
+ * @param {Object} options - See prepareTranslatorExport()
+ * @param {string} [options.sourceLocale] - Defaults to the base locale
+ * @param {string} options.targetLocale
+ * @param {'all'|'changed'} [options.scope]
+ * @returns {Promise<{ file: string|null, keys: number }>} Downloaded file name
+ *   (null when no key matched) and the number of keys in it
+ */
+export async function exportXliff({ sourceLocale = getBaseLocale(), targetLocale, scope = 'all' } = {}) {
+  try {
+    const { translations, keys } = await prepareTranslatorExport({ sourceLocale, targetLocale, scope });
+
+    if (keys.length === 0) {
+      console.debug('[paraglide-editor] No keys to export as XLIFF');
+      return { file: null, keys: 0 };
+    }
+
+    const file = `${sourceLocale}-${targetLocale}.xlf`;
+    downloadFile(file, buildXliff(translations, sourceLocale, targetLocale, keys), 'application/xliff+xml');
+
+    console.debug(`[paraglide-editor] Exported ${keys.length} keys to ${file}`);
+    return { file, keys: keys.length };
+  } catch (error) {
+    console.error('[paraglide-editor] XLIFF export failed:', error);
+    throw error;
+  }
+}
+
+function childElements(element, localName) {
+  return [...element.children].filter(child => child.namespaceURI === XLIFF_NS && child.localName === localName);
+}
+
+/**
+ * Read inline XLIFF content back into message text. `<ph>` codes become the
+ * param they stand for; other inline markup keeps only its text.
+ */
+function readInline(element, originalData) {
+  let text = '';
+  for (const node of element.childNodes) {
+    if (node.nodeType === 3 || node.nodeType === 4) {
+      text += node.nodeValue;
+    } else if (node.nodeType === 1) {
+      if (node.localName === 'ph' || node.localName === 'sc' || node.localName === 'ec') {
+        text += originalData.get(node.getAttribute('dataRef')) ?? '';
+      } else {
+        text += readInline(node, originalData);
+      }
+    }
+  }
+  return text;
+}
+
+/**
+ * Read a unit's source and target text. Segments are joined in order;
+ * the target is null when no segment has one.
+ */
+function readUnit(unit) {
+  const originalData = new Map();
+  for (const container of childElements(unit, 'originalData')) {
+    for (const data of childElements(container, 'data')) {
+      originalData.set(data.getAttribute('id'), data.textContent);
+    }
+  }
+
+  let source = '';
+  let target = '';
+  let translated = false;
+  for (const part of [...unit.children].filter(child => child.localName === 'segment' || child.localName === 'ignorable')) {
+    const [sourceElement] = childElements(part, 'source');
+    const [targetElement] = childElements(part, 'target');
+    const sourceText = sourceElement ? readInline(sourceElement, originalData) : '';
+    source += sourceText;
+    if (targetElement) {
+      target += readInline(targetElement, originalData);
+      translated = true;
+    } else {
+      // Untranslated ignorable whitespace is kept as is
+      target += part.localName === 'ignorable' ? sourceText : '';
+    }
+  }
+
+  return { source, target: translated ? target : null };
+}
+
+/**
+ * Describe placeholders that differ between source and translation.
+ *
+ * @returns {string|null} Problem description, or null when they match
+ */
+function checkPlaceholders(source, target) {
+  const expected = new Set(paramNames(source));
+  const found = new Set(paramNames(target));
+  const missing = [...expected].filter(name => !found.has(name));
+  const unknown = [...found].filter(name => !expected.has(name));
+
+  const problems = [
+    ...missing.map(name => `placeholder {${name}} missing`),
+    ...unknown.map(name => `unknown placeholder {${name}}`),
+  ];
+  return problems.length > 0 ? problems.join(', ') : null;
+}
+
+/**
+ * Parse an XLIFF 2.0 document into the target locale's flat messages.
+ * Untranslated units are skipped; translations with broken placeholders
+ * are reported and skipped (a whole variant message when one of its
+ * units is broken). A variant message with only some units translated is
+ * reported and skipped too, since importing it would drop the other forms.
+ *
+ * @param {string} text - File content
+ * @param {string} fileName - File name
+ * @param {string[]} locales - Project locales
+ * @param {Function} [report] - Called with a description of each skipped message
+ * @returns {{ [locale: string]: Object }} Flat messages keyed by locale
+ */
+export function parseXliffImport(text, fileName, locales, report = () => {}) {
+  const doc = new DOMParser().parseFromString(text, 'application/xml');
+  const root = doc.documentElement;
+  if (doc.getElementsByTagName('parsererror').length > 0 || root.localName !== 'xliff') {
+    throw new Error('Not a well-formed XLIFF document');
+  }
+  if (root.namespaceURI !== XLIFF_NS || !root.getAttribute('version')?.startsWith('2.')) {
+    throw new Error(`Only XLIFF 2.0 is supported (found version ${root.getAttribute('version') || 'unknown'})`);
+  }
+
+  const targetLang = root.getAttribute('trgLang');
+  const locale = targetLang && findLocale(targetLang, locales);
+  if (!locale) {
+    throw new Error(`Target language "${targetLang || ''}" is not a project locale (${locales.join(', ')})`);
+  }
+
+  const messages = {};
+  const variants = new Map();
+
+  for (const unit of doc.getElementsByTagNameNS(XLIFF_NS, 'unit')) {
+    const parent = unit.parentElement;
+    const inGroup = parent.localName === 'group';
+    const key = inGroup
+      ? parent.getAttribute('name') || parent.getAttribute('id')
+      : unit.getAttribute('name') || unit.getAttribute('id');
+
+    const { source, target } = readUnit(unit);
+    const problem = target === null ? null : checkPlaceholders(source, target);
+
+    if (!inGroup) {
+      if (problem) report(`${key}: ${problem}`);
+      else if (target !== null) messages[key] = target;
+      continue;
+    }
+
+    if (!variants.has(key)) variants.set(key, { group: parent, match: {}, untranslated: [], problems: [] });
+    const variant = variants.get(key);
+    const matchKey = unit.getAttribute('name') || unit.getAttribute('id');
+    if (problem) variant.problems.push(`${matchKey}: ${problem}`);
+    else if (target !== null) variant.match[matchKey] = target;
+    else variant.untranslated.push(matchKey);
+  }
+
+  for (const [key, { group, match, untranslated, problems }] of variants) {
+    if (problems.length > 0) {
+      report(`${key} (${problems.join('; ')})`);
+      continue;
+    }
+    if (Object.keys(match).length === 0) continue;
+    if (untranslated.length > 0) {
+      report(`${key} (not translated: ${untranslated.join(', ')})`);
+      continue;
+    }
+
+    const notes = childElements(group, 'notes').flatMap(container => childElements(container, 'note'));
+    const notesOf = (category) => notes
+      .filter(note => note.getAttribute('category') === category)
+      .map(note => note.textContent);
+
+    messages[key] = [{
+      declarations: notesOf('paraglide-declaration'),
+      selectors: notesOf('paraglide-selector'),
+      match,
+    }];
+  }
+
+  return { [locale]: messages };
+}
@@ -0,0 +1,68 @@
+/**
+ * Server-side message call recording for SSR integrations.
+ *
+ * During server rendering the message wrapper has no `window` to register
+ * calls on, so it reports them to `globalThis.__paraglideEditorSSR` instead.
+ * This module installs that recorder and scopes it to a single request with
+ * `AsyncLocalStorage`, so concurrent requests never mix their calls.
+ *
+ * The recorded calls are serialized into an inline manifest that the browser
+ * runtime reads before its first DOM scan (see `loadSsrManifest` in
+ * runtime/registry.js). Text that is only rendered on the server is then
+ * editable as soon as the page loads, without waiting for hydration.
+ */
+
+const RECORDER_KEY = "__paraglideEditorSSR";
+
+export const SSR_MANIFEST_ID = "pge-ssr-manifest";
+
+let storagePromise;
+
+/**
+ * Create the request-scoped storage once. Resolves to null on runtimes
+ * without `node:async_hooks`, in which case nothing is recorded.
+ */
+function getStorage() {
+  if (!storagePromise) {
+    storagePromise = import("node:async_hooks")
+      .then(({ AsyncLocalStorage }) => {
+        const storage = new AsyncLocalStorage();
+        globalThis[RECORDER_KEY] = {
+          record(text, key, params) {
+            storage.getStore()?.set(text, { key, params });
+          },
+        };
+        return storage;
+      })
+      .catch(() => null);
+  }
+  return storagePromise;
+}
+
+/**
+ * Run a render function while recording every message call it makes.
+ *
+ * @template T
+ * @param {Map<string, { key: string, params: Object }>} calls - Receives text → call metadata
+ * @param {() => Promise<T>} fn - Render function (e.g. SvelteKit's `resolve`)
+ * @returns {Promise<T>}
+ */
+export async function withCallRecorder(calls, fn) {
+  const storage = await getStorage();
+  return storage ? storage.run(calls, fn) : fn();
+}
+
+/**
+ * Serialize recorded calls into the inline manifest script.
+ *
+ * @param {Map<string, { key: string, params: Object }>} calls - Recorded calls
+ * @returns {string} `<script type="application/json">` tag, or '' when nothing was recorded
+ */
+export function renderSsrManifest(calls) {
+  if (calls.size === 0) return "";
+
+  const entries = [...calls].map(([text, { key, params }]) => ({ text, key, params }));
+  // Escape `<` so message text can never close the script element
+  const json = JSON.stringify(entries).replace(/</g, "\\u003c");
+  return `<script type="application/json" id="${SSR_MANIFEST_ID}">${json}</script>`;
+}
@@ -1,7 +1,8 @@
 import type { Handle } from "@sveltejs/kit";
 
 /**
- * SvelteKit `handle` function that injects the paraglide-editor runtime into rendered HTML.
+ * SvelteKit `handle` function that injects the paraglide-editor runtime into rendered HTML,
+ * together with a manifest of the messages rendered on the server for the request.
  *
  * Use with `sequence()` in `src/hooks.server.js`:
  * ```js
@@ -6,6 +6,10 @@
  * a SvelteKit `handle` function that injects the editor runtime via
  * `transformPageChunk` instead.
  *
+ * The handle also records which messages the server rendered for the request
+ * and appends them as an inline manifest, so the overlay can match
+ * server-rendered text before (or without) hydration.
+ *
  * Plugin options (like `requireOptIn`) are read automatically from the Vite
  * plugin config via a virtual module — no need to pass them again here.
  *
@@ -34,11 +38,13 @@
  * ```
  */
 
-import { requireOptIn, editorEnabled, runtimeUrl, translationsUrl } from "virtual:paraglide-editor/config.js";
+import { requireOptIn, editorEnabled, runtimeUrl, translationsUrl, filesUrl, saveUrl, baseLocale, locales, fallbackLocales } from "virtual:paraglide-editor/config.js";
+import { withCallRecorder, renderSsrManifest } from "./ssrRecorder.js";
 
 /**
  * SvelteKit `handle` function that conditionally injects the paraglide-editor
- * runtime script into rendered HTML.
+ * runtime script into rendered HTML, along with a manifest of the messages
+ * rendered on the server for this request.
  *
  * Only injects when `PARAGLIDE_EDITOR=true` is set.
  * Reads `requireOptIn` from the Vite plugin config automatically.
@@ -46,15 +52,28 @@ import { requireOptIn, editorEnabled, runtimeUrl, translationsUrl } from "virtua
  * @type {import('@sveltejs/kit').Handle}
  */
 export async function paraglideEditorHandle({ event, resolve }) {
-  return await resolve(event, {
-    transformPageChunk: ({ html }) => {
-      if (editorEnabled) {
-        const config = `<script>window.__paraglideEditor = window.__paraglideEditor || {}; window.__paraglideEditor.config = { requireOptIn: ${requireOptIn}, translationsUrl: "${translationsUrl}" };</script>`;
+  if (!editorEnabled) {
+    return await resolve(event);
+  }
+
+  /** @type {Map<string, { key: string, params: Object }>} */
+  const calls = new Map();
+
+  return await withCallRecorder(calls, () =>
+    resolve(event, {
+      transformPageChunk: ({ html }) => {
+        // Streamed responses arrive in chunks; only the last one closes <body>
+        if (!html.includes("</body>")) return html;
+
+        const manifest = renderSsrManifest(calls);
+        const config = `<script>window.__paraglideEditor = window.__paraglideEditor || {}; window.__paraglideEditor.config = { requireOptIn: ${requireOptIn}, translationsUrl: "${translationsUrl}", filesUrl: ${JSON.stringify(filesUrl)}, saveUrl: ${JSON.stringify(saveUrl)}, baseLocale: ${JSON.stringify(baseLocale)}, locales: ${JSON.stringify(locales)}, fallbackLocales: ${JSON.stringify(fallbackLocales)} };</script>`;
         const runtime =
           `<script type="module" src="${runtimeUrl}"></script>`;
-        return html.replace("</body>", config + "\n" + runtime + "\n</body>");
-      }
-      return html;
-    },
-  });
+        return html.replace(
+          "</body>",
+          (manifest ? manifest + "\n" : "") + config + "\n" + runtime + "\n</body>",
+        );
+      },
+    }),
+  );
 }